@@ -23,6 +23,20 @@ const srcDir = path.join(__dirname, 'src');
 const distDir = path.join(__dirname, 'dist');
 const tempDir = path.join(__dirname, 'temp');
 
+// The built-in engines, in the order they are registered, and the package each of them is backed by.
+const BUILTIN_ENGINES = {
+    flv: 'flv.js',
+    hls: 'hls.js',
+    dash: 'dashjs'
+};
+// e.g. `npm run build -- --engines=hls,dash` for a build without flv.js
+const enginesArg = process.argv.find(arg => arg.startsWith('--engines='));
+const engines = enginesArg ? enginesArg.slice('--engines='.length).split(',').filter(Boolean) : Object.keys(BUILTIN_ENGINES);
+const unknownEngines = engines.filter(name => !BUILTIN_ENGINES[name]);
+if (unknownEngines.length > 0) {
+    throw new Error(`Unknown engine(s): ${unknownEngines.join(', ')}. Available: ${Object.keys(BUILTIN_ENGINES).join(', ')}`);
+}
+
 async function build() {
     console.log(`Building in ${isDevBuild ? 'development' : 'production'} mode...`);
 
@@ -39,23 +53,42 @@ async function build() {
         console.log('Processed CSS files.');
 
         // 2. Prepare JS source files (inject into HTML)
+        await fs.copy(srcDir, tempDir, { filter: src => fs.statSync(src).isDirectory() || src.endsWith('.js') });
         const htmlTemplate = await fs.readFile(path.join(srcDir, 'player.template.html'), 'utf8');
         const minifiedHtml = await minifyHtml(htmlTemplate, { collapseWhitespace: true, removeComments: true });
-        let jsContent = await fs.readFile(path.join(srcDir, 'LivePlayer.js'), 'utf8');
-        // Use more robust replacement method to handle special characters in template strings
-        jsContent = jsContent.replace('`__PLAYER_TEMPLATE_HTML__`', `\`${minifiedHtml.replace(/`/g, '\\`')}\``);
+        const playerJsPath = path.join(tempDir, 'LivePlayer.js');
+        let jsContent = await fs.readFile(playerJsPath, 'utf8');
+        // The placeholder sits inside a template literal, so escape what would end it or start an expression
+        const escapedHtml = minifiedHtml.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+        jsContent = jsContent.replace('__PLAYER_TEMPLATE_HTML__', () => escapedHtml);
         // replace version string
         jsContent = jsContent.replaceAll('__LIVEPLAYER_VERSION__', version);
         console.log(`Injected version number: ${version}`);
-
-        const tempJsPath = path.join(tempDir, 'LivePlayer.temp.js');
-        await fs.writeFile(tempJsPath, jsContent);
-        console.log('Created temporary JS file with injected HTML.');
+        await fs.writeFile(playerJsPath, jsContent);
+        console.log('Created temporary JS files with injected HTML.');
+
+        // The entry registers the selected built-in engines and exposes the multiview group as `LivePlayer.Group`
+        const tempJsPath = path.join(tempDir, 'index.js');
+        const entryContent = [
+            "import LivePlayer from './LivePlayer.js';",
+            "import LivePlayerGroup from './LivePlayerGroup.js';",
+            ...engines.map(name => `import ${name}Engine from './engines/${name}.js';`),
+            '',
+            ...engines.map(name => `LivePlayer.registerEngine('${name}', ${name}Engine);`),
+            'LivePlayer.Group = LivePlayerGroup;',
+            '',
+            'export default LivePlayer;',
+            ''
+        ].join('\n');
+        await fs.writeFile(tempJsPath, entryContent);
+        console.log(`Registered engines: ${engines.join(', ')}`);
 
         // 3. Rollup configuration
         const inputOptions = {
             input: tempJsPath,
-            external: ['flv.js', 'hls.js'], // Tell Rollup not to bundle flv.js and hls.js
+            // Tell Rollup not to bundle the playback engines. They are imported dynamically by the
+            // engine adapters, so no globals are needed for the UMD build.
+            external: Object.values(BUILTIN_ENGINES),
             plugins: [
                 nodeResolve(), // Help Rollup find packages in node_modules
                 commonjs(),    // Convert CommonJS modules (like some dependencies) to ES6
@@ -76,11 +109,7 @@ async function build() {
  * SPDX-License-Identifier: MPL-2.0
  * https://github.com/zeronx798/LivePlayer.js
  */`,
-            sourcemap: true,
-            globals: {
-                'flv.js': 'flvjs', // 'npm-package-name': 'global-variable-name'
-                'hls.js': 'Hls'    // 'npm-package-name': 'global-variable-name'
-            }
+            sourcemap: true
         };
 
         const esmOutputOptions = {
@@ -113,7 +142,58 @@ async function build() {
             console.log('Generated minified bundles.');
         }
 
-        // 6. Cleanup
+        // 6. Framework wrappers. They import the player from the main bundle rather than bundling a second copy.
+        const wrappers = [
+            { name: 'element', globalName: 'LivePlayerElement', umd: true },
+            { name: 'react' },
+            { name: 'vue' }
+        ];
+        const isPlayerModule = (id, importer) => path.resolve(importer ? path.dirname(importer) : tempDir, id) === playerJsPath;
+        for (const wrapper of wrappers) {
+            const wrapperInputOptions = {
+                input: path.join(tempDir, 'wrappers', `${wrapper.name}.js`),
+                external: (id, importer) => isPlayerModule(id, importer) || ['react', 'vue'].includes(id),
+                plugins: [
+                    babel({
+                        babelHelpers: 'bundled',
+                        exclude: 'node_modules/**',
+                        babelrc: false,
+                        // Custom elements must be real classes: an ES5 constructor can't call the one of HTMLElement.
+                        presets: [['@babel/preset-env', { modules: false, exclude: ['@babel/plugin-transform-classes'] }]]
+                    })
+                ]
+            };
+            const wrapperOutputOptions = [{
+                file: path.join(distDir, `liveplayer-${wrapper.name}.esm.js`),
+                format: 'esm',
+                paths: id => (isPlayerModule(id) ? './liveplayer.esm.js' : id)
+            }];
+            if (wrapper.umd) {
+                wrapperOutputOptions.push({
+                    file: path.join(distDir, `liveplayer-${wrapper.name}.umd.js`),
+                    format: 'umd',
+                    name: wrapper.globalName,
+                    paths: id => (isPlayerModule(id) ? './liveplayer.umd.js' : id),
+                    globals: id => (isPlayerModule(id) ? 'LivePlayer' : id)
+                });
+            }
+
+            const wrapperBundle = await rollup(wrapperInputOptions);
+            for (const outputOptions of wrapperOutputOptions) {
+                await wrapperBundle.write({ ...outputOptions, banner: esmOutputOptions.banner, sourcemap: true });
+            }
+            if (!isDevBuild) {
+                wrapperInputOptions.plugins.push(terser());
+                const minifiedWrapperBundle = await rollup(wrapperInputOptions);
+                for (const outputOptions of wrapperOutputOptions) {
+                    const file = outputOptions.file.replace(/\.js$/, '.min.js');
+                    await minifiedWrapperBundle.write({ ...outputOptions, file, banner: esmOutputOptions.banner, sourcemap: true });
+                }
+            }
+        }
+        console.log(`Generated wrappers: ${wrappers.map(wrapper => wrapper.name).join(', ')}`);
+
+        // 7. Cleanup
         await fs.remove(tempDir);
         console.log('Cleaned up temporary files.');
 
@@ -5,12 +5,234 @@
 
 /**
  * @file liveplayer.js
- * @description A self-contained and configurable FLV and HLS live player component with intelligent offline detection.
+ * @description A self-contained and configurable FLV, HLS and DASH live player component with intelligent offline detection.
  * @version __LIVEPLAYER_VERSION__
  */
 
-import flvjs from 'flv.js';
-import Hls from 'hls.js';
+import QoeMonitor from './QoeMonitor.js';
+import Logger from './Logger.js';
+import { DEFAULT_LOCALE, resolveMessage, formatMessage, isRtlLocale } from './i18n.js';
+import { DEFAULT_ICONS } from './icons.js';
+
+/**
+ * A playback engine, registered with `LivePlayer.registerEngine()`. The player hands a stream
+ * to the first registered engine whose `canPlay()` accepts it and talks to the engine only
+ * through the handle returned by `attach()`.
+ * @typedef {object} EngineAdapter
+ * @property {function(string, (string|null), HTMLVideoElement): boolean} canPlay Whether the engine can play
+ * the URL in this browser. Receives the URL, its detected stream type (or null) and the video element.
+ * @property {function(HTMLVideoElement, string, EngineContext): *} attach Starts loading the URL into the
+ * video element and returns an engine handle. Playback itself is started by the player.
+ * @property {function(*, function(EngineError): void): void} onError Subscribes to the errors of the engine
+ * handle and reports each of them to the listener in the normalized `EngineError` form.
+ * @property {function(*, HTMLVideoElement): void} destroy Releases the engine handle.
+ * @property {function(HTMLVideoElement, EngineContext): Promise<void>} [load] Loads the engine's playback library.
+ * Called before every `attach()`, so it should cache the library. `context.library` is the engine's entry in `options.libraries`.
+ * @property {function(*, HTMLVideoElement): void} [stop] Stops loading without releasing the handle, when
+ * the stream is declared offline. Defaults to `destroy`.
+ * @property {function(*, EngineContext): Promise<{healthy: boolean, staleContent: (string|null)}>} [investigateFailure]
+ * Tells a network hiccup from the end of the stream after a stall. `staleContent` identifies the dead stream for `pollOffline`.
+ * @property {function(string, EngineContext): Promise<boolean>} [pollOffline] Whether an offline stream is back.
+ * `context.staleContent` holds the result of the last failed investigation. Defaults to a HEAD request.
+ * @property {function(*): ({auto: boolean, current: number, levels: Array<{index: number, width: number, height: number, bitrate: number}>} | null)} [getQualities]
+ * The renditions of the stream, whether the engine picks them automatically and the index of the one playing (-1 if unknown).
+ * Returns null if manual selection is not available.
+ * @property {function(*, number): void} [setQuality] Selects a rendition by index, or automatic selection with -1.
+ * @property {function(*, function(): void): void} [onQualityChange] Calls the listener whenever the renditions or the one playing change.
+ * @property {function(*): (number|null)} [getLatency] The distance in seconds between the playhead and the live edge, as known
+ * to the engine from the stream's timing, or null if unknown. Defaults to the buffered time ahead of the playhead.
+ */
+
+/**
+ * What the player passes to an engine adapter.
+ * @typedef {object} EngineContext
+ * @property {object} options The merged player options.
+ * @property {function(string, string=, object=): void} log Logs through the player's logger.
+ * @property {function(string, RequestInit=): Promise<Response>} fetch Like the global `fetch()`, with `options.network` applied.
+ * Use it for the engine's own requests, e.g. in `investigateFailure` and `pollOffline`.
+ * @property {function(string, RequestInit=): {url: string, init: RequestInit}} prepareRequest Applies `options.network` to a
+ * request of the engine's library: returns the URL to request and the init with the headers and the `credentials` mode.
+ * @property {*} [library] During `load`, the engine's entry in `options.libraries`.
+ * @property {function(): boolean} [isCancelled] During `investigateFailure`, whether the investigation has been cancelled.
+ * @property {string | null} [staleContent] During `pollOffline`, the stale content of the last failed investigation.
+ */
+
+/**
+ * An engine error in the normalized form that the player's recovery logic understands.
+ * @typedef {object} EngineError
+ * @property {string} details A short description of the error, used in logs and recovery reasons.
+ * @property {boolean} fatal Whether the engine has given up and the player should reconnect.
+ * @property {number | null} status The HTTP status of the failed request, if known. A 404 on the first
+ * attempt declares the stream offline right away, and a 401 or 403 refreshes the URL through `options.resolveUrl`.
+ * @property {boolean} [stalled] Whether playback has stalled and the engine's `investigateFailure` should run.
+ * @property {*} [data] The original error data of the engine, for logging.
+ */
+
+/**
+ * Maps the URL path extension of a stream to its type.
+ * @type {Readonly<Record<string, string>>}
+ */
+const EXTENSION_STREAM_TYPES = Object.freeze({
+    '.flv': 'flv',
+    '.m3u8': 'hls',
+    '.mpd': 'dash',
+});
+
+/**
+ * Maps the `Content-Type` of a probed response to its stream type.
+ * @type {Readonly<Record<string, string>>}
+ */
+const CONTENT_TYPE_STREAM_TYPES = Object.freeze({
+    'video/x-flv': 'flv',
+    'application/vnd.apple.mpegurl': 'hls',
+    'application/x-mpegurl': 'hls',
+    'audio/mpegurl': 'hls',
+    'audio/x-mpegurl': 'hls',
+    'application/dash+xml': 'dash',
+});
+
+/**
+ * How strongly the latency controller reacts: the playback rate changes by this much per second
+ * of deviation from the target latency, before it is clamped to the configured bounds.
+ * @type {number}
+ */
+const LATENCY_RATE_GAIN = 0.05;
+
+/**
+ * The interval in milliseconds for refreshing the stats overlay while it is open.
+ * @type {number}
+ */
+const STATS_REFRESH_INTERVAL = 1000;
+
+/**
+ * How long the offline screen takes to fade out once the stream is playing again, in milliseconds.
+ * Matches the transition of `.player-offline-overlay` in the stylesheet.
+ * @type {number}
+ */
+const OFFLINE_FADE_DURATION = 500;
+
+/**
+ * From how far ahead a scheduled start is shown as a date rather than a countdown, in milliseconds.
+ * @type {number}
+ */
+const COUNTDOWN_MAX_DURATION = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a duration as a countdown, e.g. '01:05:09'.
+ * @param {number} milliseconds - The duration.
+ * @returns {string} The hours, minutes and seconds, rounded up to the next second.
+ */
+function formatCountdown(milliseconds) {
+    const totalSeconds = Math.ceil(milliseconds / 1000);
+    return [Math.floor(totalSeconds / 3600), Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+}
+
+/**
+ * The built-in controls that `options.controls` can place, and the element of the template each of them stands for.
+ * @type {Readonly<Record<string, string>>}
+ */
+const BUILTIN_CONTROLS = Object.freeze({
+    playPause: '.play-pause-btn',
+    refresh: '.refresh-btn',
+    unmuteNotice: '.unmute-notice',
+    volume: '.volume-container',
+    quality: '.quality-switch-container',
+    lines: '.line-switch-container',
+    pip: '.pip-btn',
+    fullscreen: '.fullscreen-btn',
+});
+
+/**
+ * The actions that can be bound to keys with `options.hotkeys`.
+ * @type {ReadonlyArray<string>}
+ */
+const HOTKEY_ACTIONS = Object.freeze(['playPause', 'mute', 'fullscreen', 'volumeUp', 'volumeDown', 'refresh', 'lines', 'stats']);
+
+/**
+ * How much the volume hotkeys change the volume.
+ * @type {number}
+ */
+const VOLUME_STEP = 0.1;
+
+/**
+ * Checks whether a keyboard event matches a hotkey such as 'k', 'Space', 'ArrowUp' or 'Shift+S'.
+ * Modifiers must match exactly, so 'k' doesn't match Ctrl+K. Letters match regardless of case.
+ * @param {KeyboardEvent} event - The keyboard event.
+ * @param {string} hotkey - The hotkey: a key name as in `KeyboardEvent.key`, or 'Space', optionally prefixed
+ * by 'Shift+', 'Ctrl+', 'Alt+' and 'Meta+'.
+ * @returns {boolean} `true` if the event matches.
+ */
+function matchesHotkey(event, hotkey) {
+    const parts = hotkey.split('+');
+    const key = parts.pop();
+    const modifiers = parts.map(part => part.toLowerCase());
+    if (['shift', 'ctrl', 'alt', 'meta'].some(modifier => modifiers.includes(modifier) !== event[`${modifier}Key`])) {
+        return false;
+    }
+    if (key === 'Space') return event.key === ' ';
+    return event.key.toLowerCase() === key.toLowerCase();
+}
+
+/**
+ * Picks the options that are safe to include in `exportLogs()`. URLs, headers, callbacks and user-provided
+ * content are left out, since they may carry credentials or personal data; only whether they are set is kept.
+ * @param {object} options - The merged options of a player.
+ * @returns {object} The exported options.
+ */
+function getExportedOptions(options) {
+    const { enabled, interval, targetLatency, minPlaybackRate, maxPlaybackRate, hysteresis, latency } = options.liveEdge;
+    return {
+        probe: options.probe,
+        logLevel: options.logLevel,
+        headless: options.headless,
+        locale: options.locale,
+        liveEdge: { enabled, interval, targetLatency, minPlaybackRate, maxPlaybackRate, hysteresis, latency },
+        failover: options.failover,
+        recovery: options.recovery,
+        network: {
+            headers: Object.keys(options.network.headers),
+            withCredentials: options.network.withCredentials,
+            timeout: options.network.timeout,
+            requestInterceptor: typeof options.network.requestInterceptor === 'function',
+        },
+        resolveUrl: typeof options.resolveUrl === 'function',
+        statusProvider: Boolean(options.statusProvider),
+        statusPush: Boolean(options.statusPush),
+        beacon: Boolean(options.beacon.url || options.beacon.onReport),
+    };
+}
+
+/**
+ * The HTTP statuses that mean a request was not authorized, e.g. because the token of a signed URL has expired.
+ * @type {ReadonlyArray<number>}
+ */
+const AUTH_ERROR_STATUSES = Object.freeze([401, 403]);
+
+/**
+ * How many times in a row the URL is refreshed through `options.resolveUrl` after an authorization error,
+ * before the error is handled like any other and counts towards the recovery attempts.
+ * @type {number}
+ */
+const MAX_AUTH_REFRESHES = 3;
+
+/**
+ * The allowed transitions of the player state machine, keyed by the current state.
+ * Any transition that is not listed here is rejected by `transitionTo()`.
+ * @type {Readonly<Record<string, string[]>>}
+ */
+const STATE_TRANSITIONS = Object.freeze({
+    idle: ['loading', 'destroyed'],
+    loading: ['playing', 'stalled', 'investigating', 'recovering', 'offline', 'idle', 'destroyed'],
+    playing: ['loading', 'stalled', 'investigating', 'recovering', 'offline', 'idle', 'destroyed'],
+    stalled: ['loading', 'playing', 'investigating', 'recovering', 'offline', 'idle', 'destroyed'],
+    investigating: ['loading', 'playing', 'stalled', 'recovering', 'offline', 'idle', 'destroyed'],
+    recovering: ['loading', 'offline', 'idle', 'destroyed'],
+    offline: ['polling', 'loading', 'idle', 'destroyed'],
+    polling: ['loading', 'idle', 'destroyed'],
+    destroyed: [],
+});
 
 /**
  * Represents a configurable live player component.
@@ -19,16 +241,111 @@ import Hls from 'hls.js';
 export default class LivePlayer {
     /**
      * Creates an instance of LivePlayer.
-     * @param {HTMLElement} element The container element where the player will be injected.
+     * @param {HTMLElement} element The container element where the player will be injected, or in headless mode the `<video>` element to play in.
      * @param {object} [options={}] Configuration options for the player.
      * @param {object} [options.streamUrls={}] An object of stream sources. Can be in simple format ('Line': 'url')
      * or advanced format with fallback ('Line': { url: 'primary.flv', fallback: 'fallback.m3u8' }).
-     * @param {('debug'|'info'|'prod')} [options.logLevel='prod'] The logging level. 'debug' shows all logs, 'info' shows informational and error logs, 'prod' shows only critical errors.
+     * In the advanced format, `type` sets the type of the primary URL explicitly, e.g. `'flv'`, `'hls'` or `'dash'` for URLs without an extension.
+     * @param {boolean} [options.probe=false] If true, the type of a stream whose URL has no recognizable extension is
+     * detected by requesting it and inspecting its `Content-Type` header or its first bytes.
+     * @param {('debug'|'info'|'warn'|'error'|'silent'|'prod')} [options.logLevel='prod'] The lowest level written to the console.
+     * 'debug' shows all logs, 'info' shows informational logs, warnings and errors, and 'silent' nothing. 'prod' is an alias of 'error'.
+     * @param {object} [options.logger] Structured logging, see `addLogSink()` and `exportLogs()`.
+     * @param {Array<function(object): void>} [options.logger.sinks=[]] Functions that receive every log record at or above `logger.level`.
+     * @param {('debug'|'info'|'warn'|'error')} [options.logger.level='debug'] The lowest level passed to the sinks.
+     * @param {number} [options.logger.historySize=500] The number of records kept for `exportLogs()`.
      * @param {boolean} [options.debugUI=false] If true, a debug log textarea will be displayed below the player.
+     * @param {boolean} [options.headless=false] If true, the player plays in the `<video>` element passed as `element` and injects
+     * no UI: no controls, overlays, menus or hotkeys. The app renders its own controls with `play()`, `mute()`, `switchTo()` etc.
+     * and follows the player through its events. The options of the UI, like `controls` or `offlineScreen`, have no effect.
+     * @param {string | null} [options.locale=null] The language of the player's strings as a BCP 47 tag, e.g. 'en' or 'zh-CN'.
+     * Defaults to the browser's language. Right-to-left languages also flip the layout.
+     * @param {Record<string, Record<string, string>>} [options.messages={}] Strings that override or extend the built-in ones,
+     * keyed by locale and message key, e.g. `{ en: { 'offline.message': 'Back soon!' } }`.
+     * @param {object} [options.offlineScreen] What the player shows while the stream is offline, in addition to the offline message.
+     * @param {string | null} [options.offlineScreen.title=null] A heading, e.g. the name of the channel.
+     * @param {string | null} [options.offlineScreen.poster=null] The URL of a background image.
+     * @param {string | null} [options.offlineScreen.placeholderVideo=null] The URL of a muted video that loops in the background.
+     * @param {Date | string | number | null} [options.offlineScreen.nextStart=null] When the next broadcast is scheduled, shown as a
+     * countdown. A `nextStart` reported by the status provider takes precedence.
+     * @param {Function | null} [options.offlineScreen.onNotify=null] If set, a "Notify me" button calls this function with
+     * `{ nextStart, line }`, e.g. to subscribe the viewer to a reminder.
+     * @param {object} [options.controls] The layout of the control bar. The groups list control names in their order;
+     * built-in controls that are left out are hidden. See `BUILTIN_CONTROLS` for the names.
+     * @param {string[]} [options.controls.left=['playPause', 'refresh', 'unmuteNotice']] The controls at the start of the bar.
+     * @param {string[]} [options.controls.right=['volume', 'quality', 'lines', 'pip', 'fullscreen']] The controls at the end of the bar.
+     * @param {Record<string, {icon: string, label: string, onClick: Function}>} [options.controls.buttons={}] Custom buttons, keyed by
+     * the name they are placed with. `icon` is the name of an icon or SVG markup, `label` the tooltip and accessible name,
+     * and `onClick` is called with the player and the click event.
+     * @param {Record<string, string>} [options.icons={}] Markup that replaces the built-in icons by name, e.g. your own SVGs
+     * or `'<i class="fas fa-play"></i>'` for Font Awesome. See `DEFAULT_ICONS` for the names.
+     * @param {boolean} [options.statsOverlay=true] Whether viewers can open the stats overlay from the player's context menu or with the `stats` hotkey.
+     * @param {object} [options.hotkeys] Keyboard shortcuts, active while the player has the focus. Each action takes a list of keys
+     * as in `KeyboardEvent.key`, 'Space', or with modifiers like 'Shift+S'. An empty list disables the action.
+     * @param {boolean} [options.hotkeys.enabled=true] Whether the keyboard shortcuts are enabled.
+     * @param {string[]} [options.hotkeys.playPause=['Space', 'k']] Play or pause.
+     * @param {string[]} [options.hotkeys.mute=['m']] Mute or unmute.
+     * @param {string[]} [options.hotkeys.fullscreen=['f']] Enter or exit fullscreen.
+     * @param {string[]} [options.hotkeys.volumeUp=['ArrowUp']] Raise the volume by 10%.
+     * @param {string[]} [options.hotkeys.volumeDown=['ArrowDown']] Lower the volume by 10%.
+     * @param {string[]} [options.hotkeys.refresh=['r']] Reload the stream.
+     * @param {string[]} [options.hotkeys.lines=['l']] Open the line menu.
+     * @param {string[]} [options.hotkeys.stats=['Shift+S']] Show or hide the stats overlay.
      * @param {object} [options.liveEdge] Configuration for maintaining playback near the live edge.
-     * @param {boolean} [options.liveEdge.enabled=false] Whether to enable the live edge seeking feature.
-     * @param {number} [options.liveEdge.interval=5000] The interval in milliseconds to check latency.
-     * @param {number} [options.liveEdge.latency=5.0] The maximum allowed latency in seconds before seeking to the live edge.
+     * @param {boolean} [options.liveEdge.enabled=false] Whether to enable the latency controller for FLV streams.
+     * @param {number} [options.liveEdge.interval=1000] The interval in milliseconds to sample the latency.
+     * @param {number} [options.liveEdge.targetLatency=3.0] The latency in seconds (buffered time ahead of the playhead) to converge on.
+     * @param {number} [options.liveEdge.minPlaybackRate=0.95] The lowest playback rate used to let the latency grow back to the target.
+     * @param {number} [options.liveEdge.maxPlaybackRate=1.1] The highest playback rate used to catch up with the target.
+     * @param {number} [options.liveEdge.hysteresis=0.5] The deviation in seconds from the target latency that is tolerated
+     * before the playback rate is adjusted. Once adjusting, the rate returns to normal within half of this deviation.
+     * @param {number} [options.liveEdge.latency=20.0] The maximum allowed latency in seconds before seeking to the live edge.
+     * @param {object} [options.liveEdge.hlsConfig] Configuration passed to hls.js.
+     * @param {object} [options.liveEdge.dashConfig] Settings passed to dash.js `updateSettings()`, applied over the built-in DASH defaults.
+     * @param {object} [options.recovery] Retry policy for reconnecting after stream errors and for polling an offline stream.
+     * @param {number} [options.recovery.maxAttempts=3] The number of consecutive errors tolerated before the stream is declared offline.
+     * @param {number} [options.recovery.baseDelay=1500] The delay in milliseconds before the first reconnect.
+     * @param {number} [options.recovery.multiplier=2] The factor applied to the delay for every further attempt.
+     * @param {number} [options.recovery.maxDelay=30000] The upper bound in milliseconds for the reconnect delay.
+     * @param {number} [options.recovery.jitter=0.2] Randomizes each delay by up to this fraction (0 to 1) so that viewers don't reconnect in lockstep.
+     * @param {object} [options.recovery.flv] Overrides of the above settings for FLV streams. Any registered engine
+     * can be configured this way, using its name as the key.
+     * @param {object} [options.recovery.hls] Overrides of the above settings for HLS streams.
+     * @param {object} [options.recovery.dash] Overrides of the above settings for DASH streams.
+     * @param {object} [options.recovery.offlinePoll] Schedule for polling an offline stream.
+     * @param {number} [options.recovery.offlinePoll.interval=5000] The delay in milliseconds before the first poll.
+     * @param {number} [options.recovery.offlinePoll.multiplier=1.5] The factor applied to the delay after every unsuccessful poll.
+     * @param {number} [options.recovery.offlinePoll.maxInterval=60000] The upper bound in milliseconds for the poll delay.
+     * @param {number} [options.recovery.offlinePoll.jitter=0.2] Randomizes each poll delay by up to this fraction (0 to 1).
+     * @param {object} [options.failover] Automatic failover to other sources once recovery is exhausted on a line.
+     * @param {boolean} [options.failover.enabled=false] Whether to try the line's fallback and then the other lines, in the
+     * order of `streamUrls`, before declaring the stream offline.
+     * @param {boolean} [options.failover.failBack=false] Whether to switch back to the selected line once it is reachable again.
+     * @param {number} [options.failover.failBackInterval=30000] The interval in milliseconds for checking the selected line while failed over.
+     * @param {function(object, string): (string|Promise<string>)} [options.resolveUrl=null] Returns the URL to request for a
+     * source, e.g. with a fresh auth token. Called before every setup, reconnect and offline poll with the line
+     * (`{ name, url, fallback, type, target }`, where `target` is 'url' or 'fallback') and the reason: 'load', 'recovery',
+     * 'auth' (after a 401 or 403 response) or 'poll'.
+     * @param {string | function(object | null): Promise<{live: boolean}>} [options.statusProvider=null] Where the player learns whether
+     * the broadcast is live, instead of inspecting the stream: a URL that returns JSON like `{ "live": true }`, or a function that
+     * receives the selected line and resolves to such an object. Consulted before the stream is declared offline and by the offline poller.
+     * @param {string | null} [options.statusPush=null] The URL of a Server-Sent Events stream, or of a WebSocket (`ws:` or `wss:`),
+     * that pushes the status as JSON while the stream is offline, so that the player reconnects as soon as it is live again.
+     * @param {object} [options.network] How the player and the built-in engines make their network requests.
+     * @param {Record<string, string>} [options.network.headers={}] Headers added to every request, e.g. `{ Authorization: 'Bearer ...' }`.
+     * @param {boolean} [options.network.withCredentials=false] Whether cross-origin requests send cookies and HTTP authentication.
+     * @param {function(string, RequestInit): (string|void)} [options.network.requestInterceptor=null] Called with the URL and the
+     * request init (`{ headers, credentials }`) of every request. It can modify the init in place and return another URL to request.
+     * @param {number} [options.network.timeout=10000] The time in milliseconds that the player's own requests (probes, polls
+     * and investigations) wait for a response. 0 disables the timeout.
+     * @param {object} [options.beacon] Reporting of the quality-of-experience metrics, see `getStats()`.
+     * @param {string | null} [options.beacon.url=null] An endpoint that receives each batch of metrics as a JSON POST request.
+     * @param {Function | null} [options.beacon.onReport=null] A function that receives each batch of metrics.
+     * @param {number} [options.beacon.interval=30000] The interval in milliseconds for sending a batch.
+     * @param {number} [options.beacon.maxBatchSize=20] The number of records that triggers sending a batch early.
+     * @param {object} [options.libraries] Where the built-in engines load their library from when a stream of their type is first played,
+     * keyed by engine name ('flv', 'hls', 'dash'). Each entry is a script URL, `{ url, global }`, or a function resolving to the library.
+     * By default, a library that the page has already loaded as a global is used, and the package is imported dynamically otherwise.
      */
     constructor(element, options = {}) {
         // Library load message
@@ -39,6 +356,9 @@ export default class LivePlayer {
         );
 
         if (!element) throw new Error("A container element must be provided.");
+        if (options.headless && !(element instanceof HTMLVideoElement)) {
+            throw new TypeError("In headless mode, the element must be a <video> element.");
+        }
 
         this.container = element;
         this.id = this.container.id || `liveplayer-${Math.random().toString(36).substr(2, 9)}`;
@@ -46,12 +366,51 @@ export default class LivePlayer {
         // --- MODIFIED: Integrate robust HLS settings into defaultOptions ---
         const defaultOptions = {
             streamUrls: {},
+            probe: false,
             logLevel: 'prod',
+            logger: {
+                sinks: [],
+                level: 'debug',
+                historySize: 500,
+            },
             debugUI: false,
+            headless: false,
+            locale: null,
+            messages: {},
+            offlineScreen: {
+                title: null,
+                poster: null,
+                placeholderVideo: null,
+                nextStart: null,
+                onNotify: null,
+            },
+            controls: {
+                left: ['playPause', 'refresh', 'unmuteNotice'],
+                right: ['volume', 'quality', 'lines', 'pip', 'fullscreen'],
+                buttons: {},
+            },
+            icons: {},
+            statsOverlay: true,
+            hotkeys: {
+                enabled: true,
+                playPause: ['Space', 'k'],
+                mute: ['m'],
+                fullscreen: ['f'],
+                volumeUp: ['ArrowUp'],
+                volumeDown: ['ArrowDown'],
+                refresh: ['r'],
+                lines: ['l'],
+                stats: ['Shift+S'],
+            },
             liveEdge: {
-                enabled: false, // This is for our custom FLV latency checker
-                interval: 120000,
-                latency: 20.0,
+                enabled: false, // This is for our custom FLV latency controller
+                interval: 1000,
+                targetLatency: 3.0,
+                minPlaybackRate: 0.95,
+                maxPlaybackRate: 1.1,
+                hysteresis: 0.5,
+                latency: 20.0, // Seek instead of speeding up beyond this
+
 
                 // --- NEW: Centralized and robust hls.js default configuration ---
                 hlsConfig: {
@@ -67,6 +426,46 @@ export default class LivePlayer {
 
                     // Error recovery
                     maxBufferHole: 2.0, // Allow seeking over a 2-second gap in the buffer
+                },
+
+                // Merged over the DASH engine's defaults by dash.js itself, see engines/dash.js
+                dashConfig: {}
+            },
+            libraries: {},
+            resolveUrl: null,
+            statusProvider: null,
+            statusPush: null,
+            network: {
+                headers: {},
+                withCredentials: false,
+                requestInterceptor: null,
+                timeout: 10000,
+            },
+            beacon: {
+                url: null,
+                onReport: null,
+                interval: 30000,
+                maxBatchSize: 20,
+            },
+            failover: {
+                enabled: false,
+                failBack: false,
+                failBackInterval: 30000,
+            },
+            recovery: {
+                maxAttempts: 3,
+                baseDelay: 1500,
+                multiplier: 2,
+                maxDelay: 30000,
+                jitter: 0.2,
+                flv: {},
+                hls: {},
+                dash: {},
+                offlinePoll: {
+                    interval: 5000,
+                    multiplier: 1.5,
+                    maxInterval: 60000,
+                    jitter: 0.2,
                 }
             }
         };
@@ -84,44 +483,97 @@ export default class LivePlayer {
                     ...defaultOptions.liveEdge.hlsConfig,
                     ...((options.liveEdge && options.liveEdge.hlsConfig) || {})
                 }
+            },
+            failover: {
+                ...defaultOptions.failover,
+                ...(options.failover || {})
+            },
+            network: {
+                ...defaultOptions.network,
+                ...(options.network || {})
+            },
+            beacon: {
+                ...defaultOptions.beacon,
+                ...(options.beacon || {})
+            },
+            logger: {
+                ...defaultOptions.logger,
+                ...(options.logger || {})
+            },
+            hotkeys: {
+                ...defaultOptions.hotkeys,
+                ...(options.hotkeys || {})
+            },
+            offlineScreen: {
+                ...defaultOptions.offlineScreen,
+                ...(options.offlineScreen || {})
+            },
+            controls: {
+                ...defaultOptions.controls,
+                ...(options.controls || {})
+            },
+            recovery: {
+                ...defaultOptions.recovery,
+                ...(options.recovery || {}),
+                offlinePoll: {
+                    ...defaultOptions.recovery.offlinePoll,
+                    ...((options.recovery && options.recovery.offlinePoll) || {})
+                }
             }
         };
 
         // --- Internal State ---
-        /** @type {flvjs.Player | null} The flv.js player instance. */
-        this.flvPlayer = null;
-        /** @type {Hls | null} The hls.js player instance. */
-        this.hlsPlayer = null;
-        /** @type {'flv' | 'hls' | null} The type of the current active player. */
+        /** @type {EngineAdapter | null} The engine adapter playing the current stream. */
+        this.engine = null;
+        /** @type {*} The handle returned by the engine adapter's `attach()`. */
+        this.engineHandle = null;
+        /** @type {string | null} The name of the current active engine, e.g. 'flv', 'hls' or 'dash'. */
         this.currentPlayerType = null;
         /** @type {string | null} The URL of the currently playing stream. */
         this.currentUrl = null;
         /** @type {boolean} Tracks if the user has interacted with the player. */
         this.userInteracted = false;
-        /** @type {boolean} Indicates if the player is currently in a loading state. */
-        this.isLoading = true;
+        /**
+         * @private
+         * @type {{index: number, auto: boolean} | null} The quality last announced with `qualitychange`.
+         */
+        this.activeQuality = null;
+        /**
+         * @private
+         * @type {string} The current state of the player state machine, see `LivePlayer.States`.
+         */
+        this.currentState = LivePlayer.States.IDLE;
         /** @type {number | null} Timeout ID for hiding the controls. */
         this.controlsTimeout = null;
-        /** @type {string[]} A history of log messages for the debug UI. */
-        this.logHistory = [];
         /** @type {boolean} Stores the muted state before the page becomes hidden. */
         this.wasMutedBeforeHidden = false;
-        /** @type {number | null} Interval ID for the latency checker. */
+        /** @type {number | null} Interval ID for the latency controller. */
         this.latencyChecker = null;
-        /** @type {number | null} Interval ID for the offline poller. */
+        /** @type {boolean} Whether the latency controller has moved the playback rate away from 1. */
+        this.isPlaybackRateAdjusted = false;
+        /** @type {number | null} Timeout ID for the next offline poll. */
         this.offlinePoller = null;
-        /** @type {number} Delay in ms for a polling retry when offline. */
-        this.offlinePollInterval = 5000; // (5 seconds)
+        /** @type {number} The number of offline polls scheduled since the stream went offline. */
+        this.offlinePollCount = 0;
+        /** @type {number | null} When the next offline poll is due, as a timestamp. */
+        this.nextOfflinePollAt = null;
+        /** @type {number | null} Interval ID for refreshing the stats overlay while it is open. */
+        this.statsRefresher = null;
+        /** @type {number | null} Interval ID for refreshing the countdown of the offline screen while it is shown. */
+        this.countdownTimer = null;
+        /** @type {number | null} Timeout ID for hiding the offline screen once it has faded out. */
+        this.offlineFadeTimer = null;
+        /**
+         * @private
+         * @type {boolean} Whether the stream is being set up after it came back online. The offline screen
+         * stays up until playback starts, instead of the loading overlay.
+         */
+        this.resumingFromOffline = false;
         /** 
          * @private 
          * @type {number} Counts consecutive recovery attempts for断流. 
          */
         this.recoveryAttempts = 0;
-        /** 
-         * @private 
-         * @type {number} The number of attempts to tolerate before declaring stream offline.
-         */
-        this.maxRecoveryAttempts = 3;
         /** @type {string | null} The URL of the currently playing stream. */
         this.currentUrl = null;
         /** 
@@ -133,32 +585,118 @@ export default class LivePlayer {
         /** @type {boolean} Tracks if the user has interacted with the player. */
         this.userInteracted = false;
 
-        // New states for robust HLS stall detection
-        /** @private */
-        this.isObservingStall = false;
-        /** @private */
-        this.stallObserverTimer = null;
         /** 
          * @private
-         * @type {string | null} Caches the content of the last known-stale media playlist.
+         * @type {string | null} Caches the content of the last known-stale HLS media playlist,
+         * or the fingerprint of the last known-stale DASH manifest.
          * This is the key to breaking the poll-reconnect-fail loop.
          */
         this.lastKnownStaleContent = null;
+        /**
+         * @private
+         * @type {{triedUrls: Set<string>} | null} The URLs tried since failover started, or null if not failed over.
+         */
+        this.failoverSession = null;
+        /**
+         * @private
+         * @type {number | null} Interval ID for checking whether the selected line is back while failed over.
+         */
+        this.failBackChecker = null;
+        /**
+         * @private
+         * @type {number | null} Timeout ID of the pending reconnect, see `scheduleReconnect()`.
+         */
+        this.reconnectTimer = null;
+        /**
+         * @private
+         * @type {Map<string, string>} Stream types detected by probing, keyed by URL.
+         */
+        this.probedStreamTypes = new Map();
+        /**
+         * @private
+         * @type {number} Incremented on every `setupPlayer` call, so that an asynchronous setup can tell it has been superseded.
+         */
+        this.setupCounter = 0;
+        /**
+         * @private
+         * @type {number} Counts the URL refreshes after authorization errors since playback last started.
+         */
+        this.authRefreshes = 0;
+        /**
+         * @private
+         * @type {EventSource | WebSocket | null} The connection to `options.statusPush`, open while the stream is offline.
+         */
+        this.statusChannel = null;
+        /**
+         * @private
+         * @type {{check: function(string, string | null, function(): Promise<boolean>, number): Promise<boolean>} | null} Shares
+         * the stream checks of the offline poller with the other players of a `LivePlayerGroup` polling the same URL
+         * against the same stale content. Set by the group.
+         */
+        this.offlinePollCoordinator = null;
+        /**
+         * @private
+         * @type {boolean} Whether a `LivePlayerGroup` paused the player while its tile is out of view. A suspended
+         * player isn't resumed when the tab becomes visible again; the group resumes it once the tile is back in view.
+         */
+        this.suspended = false;
+
+        /**
+         * @private
+         * @type {Map<string, Function[]>} Registered event handlers, keyed by event name.
+         */
+        this.eventHandlers = new Map();
+        /**
+         * @private
+         * @type {AbortController} Removes the event listeners added with `listen()` when the player is destroyed.
+         */
+        this.listenerController = new AbortController();
+        /**
+         * @private
+         * @type {Set<number>} The timers started with `setTimer()` and `setRepeatingTimer()` that have not run or been cleared yet.
+         */
+        this.timers = new Set();
+
+        /**
+         * @private
+         * @type {Logger} Writes the log records to the console, the history and the sinks.
+         */
+        this.logger = new Logger(this.id, this.options.logLevel, this.options.logger);
+
+        /**
+         * @private
+         * @type {QoeMonitor} Collects the quality-of-experience metrics of this player.
+         */
+        this.qoeMonitor = new QoeMonitor(this, this.options.beacon);
 
-        /** @private */
-        this.logLevelMap = { 'debug': 0, 'info': 1, 'prod': 2, 'error': 2 };
-        /** @private */
-        this.numericLogLevel = this.logLevelMap[this.options.logLevel] ?? 2;
+        /** @type {string} The language of the player's strings, see `setLocale()`. */
+        this.locale = this.options.locale || navigator.language || DEFAULT_LOCALE;
+        /**
+         * @private
+         * @type {{key: string, params: object} | null} The error on display, so that it can be translated again on `setLocale()`.
+         */
+        this.currentError = null;
+        /**
+         * @private
+         * @type {number | null} When the next broadcast is scheduled, as a timestamp, see `options.offlineScreen.nextStart`.
+         */
+        this.scheduledStart = this.parseScheduledStart(this.options.offlineScreen.nextStart);
 
         try {
             this.streamUrlList = this.parseStreamUrls(this.options.streamUrls);
-            this.injectHTML();
-            this.initDOMElements();
-            this.initEventListeners();
-            this.updateAllUI();
+            if (this.options.headless) {
+                this.video = this.container;
+            } else {
+                this.injectHTML();
+                this.initDOMElements();
+                this.applyLocale();
+                this.initEventListeners();
+                this.updateAllUI();
+            }
+            this.initVideoListeners();
             this.log('Constructor finished.', 'debug');
         } catch (error) {
-            this.displayError(error.message);
+            this.displayError('error.setupFailed', { details: error.message });
             this.log(error.message, 'error');
         }
     }
@@ -171,6 +709,93 @@ export default class LivePlayer {
      */
     static VERSION = '__LIVEPLAYER_VERSION__';
 
+    /**
+     * The states of the player state machine.
+     * - `idle`: Nothing is being played, either before `start()` or after a setup error.
+     * - `loading`: A stream is being set up and playback has not started yet.
+     * - `playing`: The stream is connected and rendering frames (or paused by the viewer).
+     * - `stalled`: The video element is waiting for data.
+     * - `investigating`: An HLS or DASH stall is being investigated to tell a network hiccup from a stream end.
+     * - `recovering`: A reconnect has been scheduled after a recoverable error.
+     * - `offline`: The stream has been declared offline.
+     * - `polling`: The stream is offline and the background poller is waiting for it to come back.
+     * - `destroyed`: The player has been destroyed. This state is final.
+     * @type {Readonly<Record<string, string>>}
+     * @static
+     */
+    static States = Object.freeze({
+        IDLE: 'idle',
+        LOADING: 'loading',
+        PLAYING: 'playing',
+        STALLED: 'stalled',
+        INVESTIGATING: 'investigating',
+        RECOVERING: 'recovering',
+        OFFLINE: 'offline',
+        POLLING: 'polling',
+        DESTROYED: 'destroyed',
+    });
+
+    /**
+     * The names of all events emitted by the player. Subscribe to them with `on()`, `once()` and `off()`.
+     * - `loading`: A stream setup has started. Payload: `{ url, reason }`.
+     * - `playing`: Playback has (re)started. Payload: `{ url, type }`, where `type` is 'flv', 'hls' or 'dash'.
+     * - `stall`: Playback stalled and a failure investigation has started. Payload: `{ url, type }`.
+     * - `recovering`: A reconnect has been scheduled. Payload: `{ url, reason, attempt, maxAttempts, delay }`.
+     * - `offline`: The stream has been declared offline. Payload: `{ url, reason }`.
+     * - `online`: The offline poller detected that the stream is back. Payload: `{ url }`.
+     * - `lineSwitched`: The user switched to another line. Payload: `{ name, url, previousUrl }`.
+     * - `fallbackUsed`: Another source is played instead of the selected one, because FLV is unsupported or after a failover.
+     *   Payload: `{ name, url, fallbackUrl, reason }`.
+     * - `error`: An error message has been displayed to the viewer. Payload: `{ message }`.
+     * - `statechange`: The player state machine moved to a new state. Payload: `{ from, to, reason }`.
+     * @type {Readonly<Record<string, string>>}
+     * @static
+     */
+    static Events = Object.freeze({
+        LOADING: 'loading',
+        PLAYING: 'playing',
+        STALL: 'stall',
+        RECOVERING: 'recovering',
+        OFFLINE: 'offline',
+        ONLINE: 'online',
+        LINE_SWITCHED: 'lineSwitched',
+        FALLBACK_USED: 'fallbackUsed',
+        ERROR: 'error',
+        STATE_CHANGE: 'statechange',
+        QUALITY_CHANGE: 'qualitychange',
+    });
+
+    /**
+     * The registered playback engines, keyed by name, in registration order.
+     * @private
+     * @type {Map<string, EngineAdapter>}
+     * @static
+     */
+    static engines = new Map();
+
+    /**
+     * Registers a playback engine for all players. A stream is played by the first registered
+     * engine whose `canPlay()` accepts it, so engines registered earlier take precedence.
+     * Registering a name again replaces the engine but keeps its position.
+     * The standard builds register the built-in 'flv', 'hls' and 'dash' engines.
+     * @param {string} name The name of the engine. It is reported as the stream `type` in events
+     * and selects the engine's overrides in `options.recovery`.
+     * @param {EngineAdapter} adapter The engine adapter.
+     * @returns {typeof LivePlayer} The LivePlayer class, for chaining.
+     * @static
+     */
+    static registerEngine(name, adapter) {
+        if (typeof name !== 'string' || !name) {
+            throw new TypeError('Engine name must be a non-empty string.');
+        }
+        const missing = ['canPlay', 'attach', 'onError', 'destroy'].filter(method => typeof adapter?.[method] !== 'function');
+        if (missing.length > 0) {
+            throw new TypeError(`Engine "${name}" is missing the required method(s): ${missing.join(', ')}.`);
+        }
+        LivePlayer.engines.set(name, adapter);
+        return LivePlayer;
+    }
+
     /**
      * Gets the current version of the player instance.
      * @returns {string} Version number.
@@ -179,6 +804,22 @@ export default class LivePlayer {
         return LivePlayer.VERSION;
     }
 
+    /**
+     * The current state of the player, one of `LivePlayer.States`.
+     * @type {string}
+     */
+    get state() {
+        return this.currentState;
+    }
+
+    /**
+     * Whether the player has been destroyed. A destroyed player can't be started again.
+     * @type {boolean}
+     */
+    get isDestroyed() {
+        return this.currentState === LivePlayer.States.DESTROYED;
+    }
+
     /**
      * Starts the player by loading the first available stream source.
      */
@@ -190,201 +831,901 @@ export default class LivePlayer {
             // setupPlayer is now intelligent and can be called directly
             this.setupPlayer(this.streamUrlList[0].url, 'initial load');
         } else {
-            this.displayError('No stream sources provided to start.');
+            this.displayError('error.noSources');
         }
     }
 
     /**
-     * Destroys the player instance, cleans up resources, and removes it from the DOM.
+     * Replaces the stream sources without recreating the player, e.g. when the URLs of a channel
+     * change after a token refresh or a move to another CDN. Mute, volume and fullscreen are kept.
+     * @param {object} streamUrls - The new sources, in the format of `options.streamUrls`.
+     * @param {object} [options]
+     * @param {boolean} [options.keepLine=true] - Play the line with the same name as the selected one, if the
+     * new sources have it. Otherwise the first line is played.
+     * @param {boolean} [options.autoplay=true] - Load the new sources right away, even if the player has not
+     * been started yet. If false, the current stream is unloaded and the player stays idle until `start()` or `switchTo()`.
+     * @throws {Error} If `streamUrls` contains no valid line. The current sources are kept in that case.
      */
-    destroy() {
-        this.log('Destroying player instance...', 'info');
-        if (this.flvPlayer) {
-            this.flvPlayer.destroy();
-            this.flvPlayer = null;
+    setSources(streamUrls, { keepLine = true, autoplay = true } = {}) {
+        const newLines = this.parseStreamUrls(streamUrls);
+        const selectedLine = this.getSelectedLine();
+        const keptLine = keepLine && selectedLine ? newLines.find(line => line.name === selectedLine.name) : null;
+        this.streamUrlList = newLines;
+        this.log(`Stream sources replaced (${newLines.length} lines).`, 'info');
+
+        if (!autoplay) {
+            this.unloadStream('sources-changed');
+            this.renderLineMenu();
+            return;
         }
-        if (this.hlsPlayer) {
-            this.hlsPlayer.destroy();
-            this.hlsPlayer = null;
+        this.renderLineMenu();
+
+        const isUnchanged = keptLine && ['url', 'fallback', 'type'].every(key => keptLine[key] === selectedLine[key]);
+        if (isUnchanged && this.state !== LivePlayer.States.IDLE) {
+            this.log(`The sources of line "${keptLine.name}" did not change. Playback continues.`, 'debug');
+            return;
         }
-        if (this.latencyChecker) {
-            clearInterval(this.latencyChecker);
+        const lineToPlay = keptLine || newLines[0];
+        this.recoveryAttempts = 0;
+        this.setupPlayer(lineToPlay.url, `sources changed, playing ${lineToPlay.name}`);
+        if (selectedLine && lineToPlay.name !== selectedLine.name) {
+            this.emit(LivePlayer.Events.LINE_SWITCHED, { name: lineToPlay.name, url: lineToPlay.url, previousUrl: selectedLine.url });
         }
-        this.clearOfflineState(); // Also clears the offlinePoller
-        this.resetStallObservation(); // Clears the stallObserverTimer
-        this.recoveryAttempts = 0; // Reset counter
-        this.container.innerHTML = '';
-        this.currentPlayerType = null;
     }
 
     /**
-     * Parses the stream URLs object into a normalized array format.
-     * It handles both simple ('name': 'url') and advanced ('name': {url: '...', fallback: '...'}) formats.
-     * @private
-     * @param {object} urlsObject - The stream URLs object from options.
-     * @returns {Array<{name: string, url: string, fallback: string | null}>} An array of normalized stream objects.
-     * @throws {Error} If the input is not a valid, non-empty object or contains no valid entries.
+     * Adds a line to the end of the line menu.
+     * @param {string} name - The name of the line, shown in the line menu.
+     * @param {string | {url: string, fallback?: string, type?: string}} source - The URL of the line, or an object
+     * in the advanced format of `options.streamUrls`.
+     * @throws {Error} If a line with this name exists or the source is invalid.
      */
-    parseStreamUrls(urlsObject) {
-        this.log('Parsing stream URLs from options...', 'debug');
-        if (typeof urlsObject !== 'object' || urlsObject === null || Array.isArray(urlsObject)) {
-            throw new Error('streamUrls option must be a non-empty object.');
+    addLine(name, source) {
+        if (this.streamUrlList.some(line => line.name === name)) {
+            throw new Error(`A line named "${name}" already exists.`);
         }
-
-        const urls = Object.entries(urlsObject).map(([name, value]) => {
-            if (typeof value === 'string') {
-                // Simple format
-                return { name, url: value, fallback: null };
-            } if (typeof value === 'object' && value !== null && value.url) {
-                // Advanced format with fallback
-                return { name, url: value.url, fallback: value.fallback || null };
-            } 
-                // Invalid format for this entry
-                this.log(`Invalid stream format for line: "${name}". Entry skipped.`, 'warn', { entry: value });
-                return null;
-            
-        }).filter(Boolean); // Filter out any null (invalid) entries
-
-        if (urls.length === 0) {
-            throw new Error('streamUrls object is empty or contains no valid entries.');
+        const line = this.parseLine(name, source);
+        if (!line) {
+            throw new Error(`Invalid source for line "${name}". Pass a URL or an object with a "url" property.`);
         }
+        this.streamUrlList = [...this.streamUrlList, line];
+        this.log(`Line "${name}" added.`, 'info');
+        this.renderLineMenu();
+    }
 
-        this.log(`Successfully parsed ${urls.length} lines.`, 'debug', { parsedData: urls });
-        return urls;
+    /**
+     * Removes a line. If it is being played, the player switches to the first remaining line.
+     * @param {string} name - The name of the line.
+     * @throws {Error} If there is no line with this name, or it is the only line.
+     */
+    removeLine(name) {
+        const line = this.streamUrlList.find(l => l.name === name);
+        if (!line) {
+            throw new Error(`There is no line named "${name}".`);
+        }
+        if (this.streamUrlList.length === 1) {
+            throw new Error(`Line "${name}" is the only line and cannot be removed. Use setSources() to replace it.`);
+        }
+        const isSelected = line === this.getSelectedLine();
+        const isInUse = isSelected || [line.url, line.fallback].includes(this.currentUrl);
+        this.streamUrlList = this.streamUrlList.filter(l => l !== line);
+        this.log(`Line "${name}" removed.`, 'info');
+        this.renderLineMenu();
+
+        if (!isInUse || [LivePlayer.States.IDLE, LivePlayer.States.DESTROYED].includes(this.state)) return;
+        // Failover may be playing the removed line on behalf of the selected one, which is then played again.
+        const nextLine = this.getSelectedLine() || this.streamUrlList[0];
+        this.recoveryAttempts = 0;
+        this.setupPlayer(nextLine.url, `line ${name} removed`);
+        if (isSelected) {
+            this.emit(LivePlayer.Events.LINE_SWITCHED, { name: nextLine.name, url: nextLine.url, previousUrl: line.url });
+        }
     }
 
     /**
-     * Injects the player's HTML structure into the container.
-     * @private
+     * Switches to a line, like selecting it in the line menu. Starts the player if it has not been started yet.
+     * @param {string} name - The name of the line.
+     * @throws {Error} If there is no line with this name.
      */
-    injectHTML() {
-        const logHTML = this.options.debugUI ? `<textarea class="log-output" readonly></textarea>` : '';
-        this.container.classList.add('live-player-component');
-        this.container.innerHTML = `__PLAYER_TEMPLATE_HTML__${  logHTML}`;
+    switchTo(name) {
+        const line = this.streamUrlList.find(l => l.name === name);
+        if (!line) {
+            throw new Error(`There is no line named "${name}".`);
+        }
+        this.switchLine(line);
     }
 
     /**
-     * Caches references to all necessary DOM elements.
-     * @private
+     * Changes the language of the player's strings at runtime.
+     * @param {string} locale - A BCP 47 language tag, e.g. 'en' or 'zh-CN'. Missing strings fall back to
+     * the language without region (e.g. 'zh') and then to English.
+     * @param {Record<string, string>} [messages] - Strings for this locale, merged over those from `options.messages`,
+     * e.g. to add a language whose strings are loaded on demand.
      */
-    initDOMElements() {
-        this.playerContainer =
-            this.container.querySelector(".player-container");
-        this.video = this.container.querySelector(".video-element");
-        this.video.disablePictureInPicture = false;
-        this.controls = this.container.querySelector(".controls-container");
-        this.errorOverlay = this.container.querySelector(
-            ".player-error-overlay"
-        );
-        this.offlineOverlay = this.container.querySelector(".player-offline-overlay");
-        this.loadingOverlay = this.container.querySelector(".loading-overlay");
-        // FIX: Use this.options.debugUI instead of undefined this.isDebugUI
-        if (this.options.debugUI) {
-            this.logOutput = this.container.querySelector(".log-output");
+    setLocale(locale, messages) {
+        if (typeof locale !== 'string' || !locale) {
+            throw new TypeError('The locale must be a non-empty string, e.g. "en" or "zh-CN".');
         }
-        this.playPauseBtn = this.container.querySelector(".play-pause-btn");
-        this.refreshBtn = this.container.querySelector(".refresh-btn");
-        this.muteBtn = this.container.querySelector(".mute-btn");
-        this.volumeSlider = this.container.querySelector(".volume-slider");
-        this.volumeContainer =
-            this.container.querySelector(".volume-container");
-        this.unmuteNotice = this.container.querySelector(".unmute-notice");
-        this.lineSwitchBtn = this.container.querySelector(".line-switch-btn");
-        this.lineSwitchMenu = this.container.querySelector(".line-switch-menu");
-        this.pipBtn = this.container.querySelector(".pip-btn");
-        this.fullscreenBtn = this.container.querySelector(".fullscreen-btn");
-        // The method body remains unchanged, just need to confirm:
-        // 1. The `this.streamUrlList` here is already in the new format
-        // 2. The `li.dataset.url = line.url` behavior is correct (it should always point to the main URL)
-        this.streamUrlList.forEach((line, index) => {
-            const li = document.createElement("li");
-            li.textContent = line.name;
-            // Ensure using standardized `url` property
-            li.dataset.url = line.url;
-            if (index === 0) li.classList.add("active");
-            this.lineSwitchMenu.appendChild(li);
-        });
+        if (messages) {
+            this.options.messages = {
+                ...this.options.messages,
+                [locale]: { ...(this.options.messages[locale] || {}), ...messages },
+            };
+        }
+        this.locale = locale;
+        this.log(`Locale set to ${locale}.`, 'info');
+        if (this.playerContainer) this.applyLocale();
     }
 
     /**
-     * Initializes all event listeners for the player UI and video element.
-     * @private
+     * Changes the lowest level of the log messages written to the console, see `options.logLevel`.
+     * The log history and the sinks are not affected.
+     * @param {('debug'|'info'|'warn'|'error'|'silent'|'prod')} level - The level.
+     * @returns {LivePlayer} The player instance, for chaining.
      */
-    initEventListeners() {
-        const handleFirstInteraction = () => {
-            if (!this.userInteracted) {
-                this.userInteracted = true;
-                if (this.video.muted) this.video.muted = false;
-                if (this.video.paused) this.togglePlay();
-            }
+    setLogLevel(level) {
+        this.options.logLevel = level;
+        this.logger.setConsoleLevel(level);
+        return this;
+    }
+
+    /**
+     * Changes the live edge settings at runtime, see `options.liveEdge`. The latency controller of a playing
+     * FLV stream is restarted with the new settings; `hlsConfig` and `dashConfig` apply from the next stream setup.
+     * @param {object} liveEdge - The settings to change. Settings that are left out keep their value, also within
+     *     `hlsConfig` and `dashConfig`.
+     * @returns {LivePlayer} The player instance, for chaining.
+     */
+    setLiveEdge(liveEdge) {
+        const current = this.options.liveEdge;
+        this.options.liveEdge = {
+            ...current,
+            ...liveEdge,
+            // Like in the constructor, a partial engine config keeps the settings it leaves out
+            hlsConfig: { ...current.hlsConfig, ...(liveEdge.hlsConfig || {}) },
+            dashConfig: { ...current.dashConfig, ...(liveEdge.dashConfig || {}) }
         };
-        this.container.addEventListener("click", handleFirstInteraction);
-        this.playPauseBtn.addEventListener("click", (e) => {
-            e.stopPropagation();
-            this.togglePlay();
-        });
-        this.video.addEventListener("play", () => {
-            if (!this.isLoading) this.updatePlayPauseUI();
-        });
-        this.video.addEventListener("pause", () => {
-            if (!this.isLoading) this.updatePlayPauseUI();
-        });
-        this.refreshBtn.addEventListener("click", (e) => {
-            e.stopPropagation();
-            // A manual refresh should reset any previous recovery attempts.
-            this.recoveryAttempts = 0;
-            this.setupPlayer(this.currentUrl, "refresh");
-        });
-        this.muteBtn.addEventListener("click", (e) => {
-            e.stopPropagation();
-            this.video.muted = !this.video.muted;
-        });
-        this.volumeSlider.addEventListener("input", (e) => {
-            this.video.volume = e.target.value;
-            this.video.muted = e.target.value == 0;
-        });
-        this.video.addEventListener("volumechange", () => {
-            if (!this.isLoading) this.updateVolumeUI();
-        });
-        this.lineSwitchBtn.addEventListener("click", (e) => {
-            e.stopPropagation();
-            this.lineSwitchMenu.classList.toggle("visible");
-        });
-        this.lineSwitchMenu.addEventListener("click", (e) => {
-            e.stopPropagation();
-            if (e.target.tagName === "LI") this.switchLine(e.target);
-        });
-        document.addEventListener("click", () => {
-            if (this.lineSwitchMenu?.classList.contains("visible"))
-                this.lineSwitchMenu.classList.remove("visible");
-        });
-        if (document.pictureInPictureEnabled) {
-            this.pipBtn.addEventListener("click", (e) => {
-                e.stopPropagation();
-                this.togglePip();
-            });
+        if (this.currentPlayerType === 'flv' && this.options.liveEdge.enabled) {
+            this.startLatencyMonitor();
         } else {
-            this.pipBtn.style.display = "none";
+            this.stopLatencyMonitor();
         }
-        this.fullscreenBtn.addEventListener("click", (e) => {
-            e.stopPropagation();
-            this.toggleFullscreen();
-        });
-        document.addEventListener("fullscreenchange", () =>
-            this.updateFullscreenUI()
-        );
-        this.playerContainer.addEventListener("mousemove", () =>
-            this.showControls()
-        );
-        this.playerContainer.addEventListener("mouseleave", () =>
-            this.hideControlsOnLeave()
-        );
-        document.addEventListener("visibilitychange", () =>
+        return this;
+    }
+
+    /**
+     * Returns the quality-of-experience metrics of the session, i.e. since the player was created.
+     * Durations are in milliseconds and latencies in seconds. The latency is measured as the
+     * buffered time ahead of the playhead.
+     * @returns {{sessionId: string, startedAt: number, engine: string | null, url: string | null, state: string,
+     * timeToFirstFrame: number | null, lastStartupTime: number | null, startups: number, playingDuration: number,
+     * rebufferCount: number, rebufferDuration: number, stallRatio: number, recoveryAttempts: number, lineSwitches: number,
+     * fallbacks: number, offlineCount: number, offlineDuration: number, errors: number, latency: number | null,
+     * averageLatency: number | null, droppedFrames: number, totalFrames: number, width: number, height: number,
+     * bitrate: number | null}}
+     */
+    getStats() {
+        return this.qoeMonitor.getStats();
+    }
+
+    /**
+     * Shows or hides the stats overlay ("stats for nerds"). It lists the engine, stream, resolution, buffer,
+     * latency and recovery details of the player, refreshed every second, for troubleshooting with support staff.
+     * @param {boolean} [visible] - Whether to show the overlay. Toggles it if omitted.
+     */
+    toggleStats(visible) {
+        if (!this.statsOverlay) return;
+        const show = visible ?? !this.statsRefresher;
+        if (this.statsRefresher) {
+            this.clearTimer(this.statsRefresher);
+            this.statsRefresher = null;
+        }
+        this.statsOverlay.style.display = show ? "" : "none";
+        if (show) {
+            this.updateStatsUI();
+            this.statsRefresher = this.setRepeatingTimer(() => this.updateStatsUI(), STATS_REFRESH_INTERVAL);
+        }
+    }
+
+    /**
+     * Lists the qualities (renditions) of the current stream, e.g. the variants of an HLS master playlist.
+     * @returns {{selectable: boolean, auto: boolean, current: number, levels: Array<{index: number, label: string, width: number, height: number, bitrate: number}>}}
+     * `selectable` is false if the current engine doesn't support manual selection, e.g. for native HLS playback on Safari
+     * or for FLV. `auto` tells whether the quality is picked automatically, and `current` is the index of the quality playing (-1 if unknown).
+     */
+    getQualities() {
+        const qualities = this.engine && this.engine.getQualities ? this.engine.getQualities(this.engineHandle) : null;
+        if (!qualities) {
+            return { selectable: false, auto: true, current: -1, levels: [] };
+        }
+        const levels = qualities.levels.map(level => ({ ...level, label: this.getQualityLabel(level, qualities.levels) }));
+        return { selectable: levels.length > 0, auto: qualities.auto, current: qualities.current, levels };
+    }
+
+    /**
+     * Selects the quality of the current stream.
+     * @param {number} index - The index of the quality, see `getQualities()`, or -1 for automatic selection.
+     * @returns {boolean} `true` if the selection was applied, `false` if manual selection is not available or the index is unknown.
+     */
+    setQuality(index) {
+        const { selectable, levels } = this.getQualities();
+        if (!selectable) {
+            this.log('Manual quality selection is not available for the current stream (e.g. native HLS playback).', 'warn');
+            return false;
+        }
+        // The indexes are those of the engine, which don't have to match the positions in `levels`.
+        const level = levels.find(l => l.index === index);
+        if (index !== -1 && !level) {
+            this.log(`Unknown quality index: ${index}.`, 'warn');
+            return false;
+        }
+        this.log(`Selecting quality: ${index === -1 ? 'Auto' : level.label}`, 'info');
+        this.engine.setQuality(this.engineHandle, index);
+        this.handleQualityChange();
+        return true;
+    }
+
+    /**
+     * Registers a handler for a player event.
+     * @param {string} event - The event name, see `LivePlayer.Events`.
+     * @param {Function} handler - The function called with the event payload.
+     * @returns {LivePlayer} The player instance, for chaining.
+     */
+    on(event, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError(`Handler for event "${event}" must be a function.`);
+        }
+        if (!this.eventHandlers.has(event)) this.eventHandlers.set(event, []);
+        this.eventHandlers.get(event).push(handler);
+        return this;
+    }
+
+    /**
+     * Registers a handler that is removed after it has been called once.
+     * @param {string} event - The event name, see `LivePlayer.Events`.
+     * @param {Function} handler - The function called with the event payload.
+     * @returns {LivePlayer} The player instance, for chaining.
+     */
+    once(event, handler) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            handler.call(this, payload);
+        };
+        // Keep a reference so that off(event, handler) also removes the wrapper.
+        wrapper.originalHandler = handler;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Removes a handler registered with `on()` or `once()`.
+     * If no handler is given, all handlers for the event are removed.
+     * @param {string} event - The event name, see `LivePlayer.Events`.
+     * @param {Function} [handler] - The handler to remove.
+     * @returns {LivePlayer} The player instance, for chaining.
+     */
+    off(event, handler) {
+        const handlers = this.eventHandlers.get(event);
+        if (!handlers) return this;
+        if (!handler) {
+            this.eventHandlers.delete(event);
+            return this;
+        }
+        const remaining = handlers.filter(h => h !== handler && h.originalHandler !== handler);
+        if (remaining.length > 0) {
+            this.eventHandlers.set(event, remaining);
+        } else {
+            this.eventHandlers.delete(event);
+        }
+        return this;
+    }
+
+    /**
+     * Calls all handlers registered for an event. A throwing handler is logged
+     * and does not prevent the other handlers or the player logic from running.
+     * @private
+     * @param {string} event - The event name.
+     * @param {object} [payload={}] - The data passed to the handlers.
+     */
+    emit(event, payload = {}) {
+        const handlers = this.eventHandlers.get(event);
+        if (!handlers) return;
+        // Iterate over a copy, since once() handlers remove themselves while we loop.
+        [...handlers].forEach((handler) => {
+            try {
+                handler.call(this, payload);
+            } catch (error) {
+                this.log(`Handler for "${event}" event threw: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Moves the state machine to a new state if the transition is allowed, updates the
+     * overlays to match and emits a `statechange` event.
+     * @private
+     * @param {string} nextState - The target state, one of `LivePlayer.States`.
+     * @param {string} [reason='unknown'] - The reason for the transition (for logging).
+     * @returns {boolean} `true` if the player is in `nextState` afterwards.
+     */
+    transitionTo(nextState, reason = 'unknown') {
+        const previousState = this.currentState;
+        if (previousState === nextState) return true;
+
+        if (!STATE_TRANSITIONS[previousState].includes(nextState)) {
+            this.log(`Rejected state transition ${previousState} -> ${nextState} (${reason}).`, 'debug');
+            return false;
+        }
+
+        this.currentState = nextState;
+        this.log(`State: ${previousState} -> ${nextState} (${reason})`, 'debug');
+        this.renderState();
+        this.emit(LivePlayer.Events.STATE_CHANGE, { from: previousState, to: nextState, reason });
+        return true;
+    }
+
+    /**
+     * Shows and hides the loading and offline overlays according to the current state.
+     * States that do not own an overlay (stalled, investigating, destroyed) leave the UI untouched.
+     * @private
+     */
+    renderState() {
+        const { States } = LivePlayer;
+        const showOverlays = (loading, offline) => {
+            if (this.loadingOverlay) this.loadingOverlay.style.display = loading ? 'flex' : 'none';
+            this.showOfflineScreen(offline);
+        };
+
+        switch (this.currentState) {
+            case States.LOADING:
+                // A stream that came back online is set up behind the offline screen, which fades out once it plays.
+                showOverlays(!this.resumingFromOffline, this.resumingFromOffline);
+                if (this.errorOverlay) this.errorOverlay.style.display = 'none';
+                this.currentError = null;
+                break;
+            case States.RECOVERING:
+                this.resumingFromOffline = false;
+                showOverlays(true, false);
+                if (this.errorOverlay) this.errorOverlay.style.display = 'none';
+                this.currentError = null;
+                break;
+            case States.PLAYING:
+                if (this.resumingFromOffline) {
+                    this.resumingFromOffline = false;
+                    if (this.loadingOverlay) this.loadingOverlay.style.display = 'none';
+                    this.fadeOutOfflineScreen();
+                } else {
+                    showOverlays(false, false);
+                }
+                this.updateAllUI();
+                break;
+            case States.OFFLINE:
+                this.resumingFromOffline = false;
+                showOverlays(false, true);
+                this.announce(this.t("announce.offline"));
+                break;
+            case States.POLLING:
+                showOverlays(false, true);
+                break;
+            case States.IDLE:
+                this.resumingFromOffline = false;
+                showOverlays(false, false);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Shows or hides the offline screen. While it is shown, the countdown is refreshed every second
+     * and the placeholder video plays.
+     * @private
+     * @param {boolean} visible - Whether to show the offline screen.
+     */
+    showOfflineScreen(visible) {
+        if (!this.offlineOverlay) return;
+        this.clearTimer(this.offlineFadeTimer);
+        this.offlineFadeTimer = null;
+        this.offlineOverlay.classList.remove("fade-out");
+        this.offlineOverlay.style.display = visible ? "flex" : "none";
+
+        const { placeholderVideo } = this.options.offlineScreen;
+        if (visible) {
+            this.updateOfflineScreen();
+            if (!this.countdownTimer) this.countdownTimer = this.setRepeatingTimer(() => this.updateCountdown(), 1000);
+            if (placeholderVideo && !this.offlinePlaceholder.getAttribute("src")) {
+                this.offlinePlaceholder.src = placeholderVideo;
+                this.offlinePlaceholder.hidden = false;
+                this.offlinePlaceholder.play().catch(error => this.log(`Offline placeholder video could not play: ${error.message}`, 'debug'));
+            }
+        } else {
+            this.clearTimer(this.countdownTimer);
+            this.countdownTimer = null;
+            if (this.offlinePlaceholder.getAttribute("src")) {
+                // Releases the placeholder video, so that it doesn't keep downloading behind the stream.
+                this.offlinePlaceholder.pause();
+                this.offlinePlaceholder.removeAttribute("src");
+                this.offlinePlaceholder.load();
+                this.offlinePlaceholder.hidden = true;
+            }
+        }
+    }
+
+    /**
+     * Fades the offline screen out over the stream that has started playing.
+     * @private
+     */
+    fadeOutOfflineScreen() {
+        if (!this.offlineOverlay || this.offlineOverlay.style.display === "none") return;
+        this.updateOfflineScreen();
+        this.offlineOverlay.classList.add("fade-out");
+        this.clearTimer(this.offlineFadeTimer);
+        this.offlineFadeTimer = this.setTimer(() => this.showOfflineScreen(false), OFFLINE_FADE_DURATION);
+    }
+
+    /**
+     * Updates the parts of the offline screen to the options, the schedule and whether the stream is starting.
+     * @private
+     */
+    updateOfflineScreen() {
+        const { title, onNotify } = this.options.offlineScreen;
+        const resuming = this.resumingFromOffline || this.currentState === LivePlayer.States.PLAYING;
+        this.offlineTitle.textContent = title || "";
+        this.offlineTitle.hidden = !title;
+        this.offlineMessage.hidden = resuming;
+        this.offlineResuming.hidden = !resuming;
+        this.offlineNotifyBtn.hidden = resuming || typeof onNotify !== "function";
+        this.updateCountdown();
+    }
+
+    /**
+     * Refreshes the countdown to the scheduled start. Starts that are more than a day ahead are shown as a date.
+     * @private
+     */
+    updateCountdown() {
+        const start = this.scheduledStart;
+        const resuming = this.resumingFromOffline || this.currentState === LivePlayer.States.PLAYING;
+        this.offlineCountdown.hidden = start === null || resuming;
+        if (this.offlineCountdown.hidden) return;
+
+        const remaining = start - Date.now();
+        this.offlineCountdown.dateTime = new Date(start).toISOString();
+        if (remaining <= 0) {
+            this.offlineCountdown.textContent = this.t("offline.startingSoon");
+        } else if (remaining >= COUNTDOWN_MAX_DURATION) {
+            let date;
+            try {
+                date = new Date(start).toLocaleString(this.locale, { dateStyle: "medium", timeStyle: "short" });
+            } catch (error) {
+                // An app-defined locale that the browser doesn't know.
+                date = new Date(start).toLocaleString();
+            }
+            this.offlineCountdown.textContent = this.t("offline.scheduledFor", { date });
+        } else {
+            this.offlineCountdown.textContent = this.t("offline.startsIn", { time: formatCountdown(remaining) });
+        }
+    }
+
+    /**
+     * Converts a scheduled start to a timestamp.
+     * @private
+     * @param {Date | string | number | null | undefined} value - A date, an ISO 8601 string or a timestamp in milliseconds.
+     * @returns {number | null} The timestamp, or null if there is no valid schedule.
+     */
+    parseScheduledStart(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const timestamp = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+        if (!Number.isFinite(timestamp)) {
+            this.log(`Ignoring an invalid scheduled start: ${value}`, 'warn');
+            return null;
+        }
+        return timestamp;
+    }
+
+    /**
+     * Destroys the player instance, cleans up resources, and removes it from the DOM.
+     * All event listeners and timers of the player are removed, so that nothing calls into it afterwards.
+     * Calling it again has no effect.
+     */
+    destroy() {
+        if (this.isDestroyed) return;
+        this.log('Destroying player instance...', 'info');
+        this.destroyEngine();
+        this.stopLatencyMonitor();
+        this.clearOfflineState(); // Also clears the offlinePoller
+        this.stopFailBackChecker();
+        this.toggleStats(false);
+        this.showOfflineScreen(false);
+        this.recoveryAttempts = 0; // Reset counter
+        // Leaving the investigating state also cancels a running investigation.
+        this.transitionTo(LivePlayer.States.DESTROYED, 'destroy');
+        // Sends the final report, so it must run before the handlers are cleared.
+        this.qoeMonitor.destroy();
+        // In headless mode, the video element belongs to the app.
+        if (!this.options.headless) this.container.innerHTML = '';
+        this.currentPlayerType = null;
+        this.eventHandlers.clear();
+        this.listenerController.abort();
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+    }
+
+    /**
+     * Adds an event listener that is removed when the player is destroyed. Listeners on the document, or on
+     * a video element that outlives the player in headless mode, would otherwise keep calling into it.
+     * @private
+     * @param {EventTarget} target - The target.
+     * @param {string} type - The event type.
+     * @param {Function} handler - The listener.
+     * @param {AddEventListenerOptions} [options={}] - The options of `addEventListener()`.
+     */
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.listenerController.signal });
+    }
+
+    /**
+     * Calls a function once after a delay, unless the timer is cleared or the player destroyed before.
+     * @private
+     * @param {Function} callback - The function.
+     * @param {number} delay - The delay in milliseconds.
+     * @returns {number} The timer ID, for `clearTimer()`.
+     */
+    setTimer(callback, delay) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            callback();
+        }, delay);
+        this.timers.add(id);
+        return id;
+    }
+
+    /**
+     * Calls a function repeatedly until the timer is cleared or the player destroyed.
+     * @private
+     * @param {Function} callback - The function.
+     * @param {number} interval - The interval in milliseconds.
+     * @returns {number} The timer ID, for `clearTimer()`.
+     */
+    setRepeatingTimer(callback, interval) {
+        const id = setInterval(callback, interval);
+        this.timers.add(id);
+        return id;
+    }
+
+    /**
+     * Clears a timer of `setTimer()` or `setRepeatingTimer()`. `clearTimeout()` and `clearInterval()`
+     * are interchangeable, so both kinds are cleared the same way.
+     * @private
+     * @param {number | null} id - The timer ID. Null is ignored.
+     */
+    clearTimer(id) {
+        if (id === null) return;
+        clearTimeout(id);
+        this.timers.delete(id);
+    }
+
+    /**
+     * Parses the stream URLs object into a normalized array format.
+     * It handles both simple ('name': 'url') and advanced ('name': {url: '...', fallback: '...'}) formats.
+     * @private
+     * @param {object} urlsObject - The stream URLs object from options.
+     * @returns {Array<{name: string, url: string, fallback: string | null, type: string | null}>} An array of normalized stream objects.
+     * @throws {Error} If the input is not a valid, non-empty object or contains no valid entries.
+     */
+    parseStreamUrls(urlsObject) {
+        this.log('Parsing stream URLs from options...', 'debug');
+        if (typeof urlsObject !== 'object' || urlsObject === null || Array.isArray(urlsObject)) {
+            throw new Error('streamUrls option must be a non-empty object.');
+        }
+
+        const urls = Object.entries(urlsObject)
+            .map(([name, value]) => this.parseLine(name, value))
+            .filter(Boolean); // Filter out any null (invalid) entries
+
+        if (urls.length === 0) {
+            throw new Error('streamUrls object is empty or contains no valid entries.');
+        }
+
+        this.log(`Successfully parsed ${urls.length} lines.`, 'debug', { parsedData: urls });
+        return urls;
+    }
+
+    /**
+     * Normalizes a single entry of the stream URLs object.
+     * @private
+     * @param {string} name - The name of the line.
+     * @param {string | object} value - A URL, or an object with `url` and optional `fallback` and `type` properties.
+     * @returns {{name: string, url: string, fallback: string | null, type: string | null} | null} The line, or null if the entry is invalid.
+     */
+    parseLine(name, value) {
+        if (typeof value === 'string' && value) {
+            // Simple format
+            return { name, url: value, fallback: null, type: null };
+        }
+        if (typeof value === 'object' && value !== null && value.url) {
+            // Advanced format with fallback and/or explicit type
+            let type = value.type || null;
+            if (type && typeof type !== 'string') {
+                this.log(`Invalid stream type for line: "${name}". Detecting the type from the URL instead.`, 'warn', { type });
+                type = null;
+            }
+            return { name, url: value.url, fallback: value.fallback || null, type };
+        }
+        this.log(`Invalid stream format for line: "${name}". Entry skipped.`, 'warn', { entry: value });
+        return null;
+    }
+
+    /**
+     * Returns the line selected by the viewer or the app, even while failover plays another source.
+     * @private
+     * @returns {{name: string, url: string, fallback: string | null, type: string | null} | null} The line, or null before the first setup.
+     */
+    getSelectedLine() {
+        return this.streamUrlList.find(line => line.url === this.userSelectedUrl) || null;
+    }
+
+    /**
+     * Unloads the current stream and returns to the `idle` state, e.g. when the sources are replaced.
+     * Pending setups, recoveries and the offline poller are cancelled.
+     * @private
+     * @param {string} reason - The reason for the state change.
+     */
+    unloadStream(reason) {
+        if (this.isDestroyed) return;
+        // Setups still waiting for a probe or a library bail out when they see a newer setup.
+        this.setupCounter++;
+        this.destroyEngine();
+        this.stopLatencyMonitor();
+        this.clearOfflineState();
+        this.stopFailBackChecker();
+        this.failoverSession = null;
+        this.recoveryAttempts = 0;
+        this.video.src = '';
+        this.video.removeAttribute('src');
+        this.currentUrl = null;
+        this.currentPlayerType = null;
+        this.userSelectedUrl = null;
+        // Leaving the recovering or investigating state also cancels a scheduled reconnect or a running investigation.
+        this.transitionTo(LivePlayer.States.IDLE, reason);
+    }
+
+    /**
+     * Injects the player's HTML structure into the container.
+     * @private
+     */
+    injectHTML() {
+        const logHTML = this.options.debugUI ? `<textarea class="log-output" readonly></textarea>` : '';
+        this.container.classList.add('live-player-component');
+        this.container.innerHTML = `__PLAYER_TEMPLATE_HTML__${  logHTML}`;
+    }
+
+    /**
+     * Caches references to all necessary DOM elements.
+     * @private
+     */
+    initDOMElements() {
+        this.playerContainer =
+            this.container.querySelector(".player-container");
+        this.video = this.container.querySelector(".video-element");
+        this.video.disablePictureInPicture = false;
+        this.controls = this.container.querySelector(".controls-container");
+        this.controlsLeft = this.container.querySelector(".controls-left");
+        this.controlsRight = this.container.querySelector(".controls-right");
+        this.renderIcons(this.container);
+        this.errorOverlay = this.container.querySelector(
+            ".player-error-overlay"
+        );
+        this.offlineOverlay = this.container.querySelector(".player-offline-overlay");
+        this.offlinePlaceholder = this.container.querySelector(".offline-placeholder");
+        this.offlineTitle = this.container.querySelector(".offline-title");
+        this.offlineMessage = this.container.querySelector(".offline-message");
+        this.offlineResuming = this.container.querySelector(".offline-resuming");
+        this.offlineCountdown = this.container.querySelector(".offline-countdown");
+        this.offlineNotifyBtn = this.container.querySelector(".offline-notify-btn");
+        const { poster } = this.options.offlineScreen;
+        if (poster) {
+            // The gradient keeps the text readable on bright images.
+            this.offlineOverlay.style.backgroundImage = `linear-gradient(rgba(0, 0, 0, 0.6), rgba(0, 0, 0, 0.6)), url(${JSON.stringify(poster)})`;
+        }
+        this.loadingOverlay = this.container.querySelector(".loading-overlay");
+        // FIX: Use this.options.debugUI instead of undefined this.isDebugUI
+        if (this.options.debugUI) {
+            this.logOutput = this.container.querySelector(".log-output");
+        }
+        this.playPauseBtn = this.container.querySelector(".play-pause-btn");
+        this.refreshBtn = this.container.querySelector(".refresh-btn");
+        this.muteBtn = this.container.querySelector(".mute-btn");
+        this.volumeSlider = this.container.querySelector(".volume-slider");
+        this.volumeContainer =
+            this.container.querySelector(".volume-container");
+        this.unmuteNotice = this.container.querySelector(".unmute-notice");
+        this.lineSwitchBtn = this.container.querySelector(".line-switch-btn");
+        this.lineSwitchMenu = this.container.querySelector(".line-switch-menu");
+        this.qualitySwitchContainer = this.container.querySelector(".quality-switch-container");
+        this.qualitySwitchBtn = this.container.querySelector(".quality-switch-btn");
+        this.qualitySwitchMenu = this.container.querySelector(".quality-switch-menu");
+        this.pipBtn = this.container.querySelector(".pip-btn");
+        this.fullscreenBtn = this.container.querySelector(".fullscreen-btn");
+        this.statsOverlay = this.container.querySelector(".stats-overlay");
+        this.statsList = this.container.querySelector(".stats-list");
+        this.statsCloseBtn = this.container.querySelector(".stats-close-btn");
+        this.contextMenu = this.container.querySelector(".player-context-menu");
+        this.liveRegion = this.container.querySelector(".player-live-region");
+        this.layoutControls();
+        // Popup menus and the buttons that open them. The context menu has no button.
+        this.menuButtons = new Map([
+            [this.lineSwitchMenu, this.lineSwitchBtn],
+            [this.qualitySwitchMenu, this.qualitySwitchBtn],
+            [this.contextMenu, null],
+        ]);
+        this.menuButtons.forEach((button, menu) => {
+            if (!button) return;
+            // IDs only need to be unique per page, so derive them from the player ID.
+            menu.id = `${this.id}-${menu.className}`;
+            button.setAttribute("aria-controls", menu.id);
+        });
+        this.renderLineMenu();
+    }
+
+    /**
+     * Builds the items of the line menu from `streamUrlList` and highlights the line being played,
+     * or the first line before playback.
+     * @private
+     */
+    renderLineMenu() {
+        if (!this.lineSwitchMenu) return;
+        this.closeMenu(this.lineSwitchMenu);
+        this.lineSwitchMenu.innerHTML = "";
+        this.streamUrlList.forEach((line) => {
+            const li = document.createElement("li");
+            li.textContent = line.name;
+            li.setAttribute("role", "menuitemradio");
+            li.setAttribute("aria-checked", "false");
+            li.tabIndex = -1;
+            // Always the primary URL, also while the fallback is played.
+            li.dataset.url = line.url;
+            this.lineSwitchMenu.appendChild(li);
+        });
+        this.updateActiveLineUI(this.currentUrl || this.streamUrlList[0].url);
+    }
+
+    /**
+     * Initializes all event listeners for the player UI and video element.
+     * @private
+     */
+    initEventListeners() {
+        const handleFirstInteraction = () => {
+            if (!this.userInteracted) {
+                this.userInteracted = true;
+                if (this.video.muted) this.video.muted = false;
+                if (this.video.paused) this.togglePlay();
+            }
+        };
+        this.listen(this.container, "click", handleFirstInteraction);
+        this.listen(this.unmuteNotice, "keydown", (e) => {
+            if (e.key !== "Enter" && e.key !== " ") return;
+            e.preventDefault();
+            handleFirstInteraction();
+        });
+        this.listen(this.playPauseBtn, "click", (e) => {
+            e.stopPropagation();
+            this.togglePlay();
+        });
+        this.listen(this.video, "play", () => {
+            if (this.state !== LivePlayer.States.LOADING) this.updatePlayPauseUI();
+        });
+        this.listen(this.video, "pause", () => {
+            if (this.state !== LivePlayer.States.LOADING) this.updatePlayPauseUI();
+        });
+        this.listen(this.refreshBtn, "click", (e) => {
+            e.stopPropagation();
+            this.refresh();
+        });
+        this.listen(this.muteBtn, "click", (e) => {
+            e.stopPropagation();
+            this.video.muted = !this.video.muted;
+        });
+        this.listen(this.volumeSlider, "input", (e) => {
+            this.video.volume = e.target.value;
+            this.video.muted = e.target.value == 0;
+        });
+        this.listen(this.video, "volumechange", () => {
+            if (this.state !== LivePlayer.States.LOADING) this.updateVolumeUI();
+        });
+        this.listen(this.lineSwitchBtn, "click", (e) => {
+            e.stopPropagation();
+            // A click without a pointer (detail 0) comes from the keyboard, so move the focus into the menu.
+            this.toggleMenu(this.lineSwitchMenu, { focus: e.detail === 0 });
+        });
+        this.listen(this.lineSwitchMenu, "click", (e) => {
+            e.stopPropagation();
+            if (e.target.tagName !== "LI") return;
+            this.switchLine(this.streamUrlList.find(line => line.url === e.target.dataset.url));
+        });
+        this.listen(this.qualitySwitchBtn, "click", (e) => {
+            e.stopPropagation();
+            this.toggleMenu(this.qualitySwitchMenu, { focus: e.detail === 0 });
+        });
+        this.listen(this.qualitySwitchMenu, "click", (e) => {
+            e.stopPropagation();
+            if (e.target.tagName !== "LI") return;
+            this.closeMenu(this.qualitySwitchMenu);
+            this.setQuality(Number(e.target.dataset.index));
+        });
+        this.listen(document, "click", () => {
+            this.menuButtons?.forEach((button, menu) => this.closeMenu(menu));
+        });
+        this.menuButtons.forEach((button, menu) => {
+            this.listen(menu, "keydown", e => this.handleMenuKeydown(e, menu));
+        });
+        if (this.options.statsOverlay) {
+            // Replaces the browser's context menu over the player, like other platforms do for their stats.
+            this.listen(this.playerContainer, "contextmenu", (e) => {
+                e.preventDefault();
+                this.closeMenu(this.lineSwitchMenu);
+                this.closeMenu(this.qualitySwitchMenu);
+                this.showContextMenu(e.clientX, e.clientY);
+            });
+            this.listen(this.contextMenu, "click", (e) => {
+                e.stopPropagation();
+                this.closeMenu(this.contextMenu);
+                if (e.target.closest(".stats-menu-item")) this.toggleStats();
+            });
+        }
+        // The player container is focusable, so the hotkeys work once the player has been clicked or tabbed to.
+        this.listen(this.playerContainer, "keydown", e => this.handleHotkey(e));
+        this.listen(this.offlineNotifyBtn, "click", (e) => {
+            e.stopPropagation();
+            const { scheduledStart } = this;
+            try {
+                this.options.offlineScreen.onNotify({
+                    nextStart: scheduledStart === null ? null : new Date(scheduledStart),
+                    line: this.getSelectedLine(),
+                });
+            } catch (error) {
+                this.log(`offlineScreen.onNotify threw an error: ${error.message}`, 'error', error);
+            }
+        });
+        this.listen(this.statsCloseBtn, "click", (e) => {
+            e.stopPropagation();
+            this.toggleStats(false);
+        });
+        if (document.pictureInPictureEnabled) {
+            this.listen(this.pipBtn, "click", (e) => {
+                e.stopPropagation();
+                this.togglePip();
+            });
+        } else {
+            this.pipBtn.style.display = "none";
+        }
+        this.listen(this.fullscreenBtn, "click", (e) => {
+            e.stopPropagation();
+            this.toggleFullscreen();
+        });
+        this.listen(document, "fullscreenchange", () =>
+            this.updateFullscreenUI()
+        );
+        this.listen(this.video, "enterpictureinpicture", () => this.pipBtn.setAttribute("aria-pressed", "true"));
+        this.listen(this.video, "leavepictureinpicture", () => this.pipBtn.setAttribute("aria-pressed", "false"));
+        this.listen(this.playerContainer, "mousemove", () =>
+            this.showControls()
+        );
+        this.listen(this.playerContainer, "mouseleave", () =>
+            this.hideControlsOnLeave()
+        );
+    }
+
+    /**
+     * Initializes the event listeners that drive the state machine from the video element and the page,
+     * which are needed with and without the player UI.
+     * @private
+     */
+    initVideoListeners() {
+        this.listen(document, "visibilitychange", () =>
             this.handleVisibilityChange()
         );
         // Add seeked event listener. Hide loading animation when video completes seeking.
         // This applies to all seeking scenarios, including when we actively catch up with progress.
-        this.video.addEventListener('seeked', () => {
+        this.listen(this.video, 'seeked', () => {
             this.log('Video seek completed.', 'debug');
             if (this.loadingOverlay) {
                 this.loadingOverlay.style.display = 'none';
@@ -392,303 +1733,701 @@ export default class LivePlayer {
         });
         // This is now the PRIMARY and sole trigger for hiding the overlay
         // when playback successfully starts, preventing premature hiding.
-        this.video.addEventListener('playing', () => {
+        this.listen(this.video, 'playing', () => {
             this.log('Video playback has started. Hiding loading overlay.', 'debug');
-            if (this.isObservingStall) {
-                this.log('Ignoring "playing" event because a critical HLS investigation is in progress.', 'warn');
+            if (this.state === LivePlayer.States.INVESTIGATING) {
+                this.log('Ignoring "playing" event because a critical investigation is in progress.', 'warn');
                 return; // ABORT. Do not touch any state.
             }
 
-            if (this.loadingOverlay) {
-                this.loadingOverlay.style.display = 'none';
-            }
+            // The state machine rejects this when the player is offline or recovering,
+            // e.g. a late "playing" event from a stream that has already been torn down.
+            if (!this.transitionTo(LivePlayer.States.PLAYING, 'video-playing')) return;
 
-            // The logic for resetting the recovery counter remains the same and is now safe.
-            if (this.currentPlayerType === 'flv') {
-                this.log('FLV stream is playing, resetting recovery attempts.', 'info');
+            this.emit(LivePlayer.Events.PLAYING, { url: this.currentUrl, type: this.currentPlayerType });
+            this.authRefreshes = 0;
+
+            // Engines that can investigate a stall reset the counter once the investigation finds the stream
+            // healthy. For the others, reaching "playing" again is the only sign of a successful recovery.
+            if (this.engine && !this.engine.investigateFailure) {
+                this.log(`${this.currentPlayerType} stream is playing, resetting recovery attempts.`, 'info');
                 this.recoveryAttempts = 0;
             }
 
-            // This is now also safe, because we've already returned if an investigation was active.
-            this.resetStallObservation();
+            if (this.failoverSession && this.currentUrl !== this.userSelectedUrl) {
+                this.startFailBackChecker();
+            }
+        });
+        // The video element ran out of data. The engine-specific error handlers decide
+        // whether this turns into an investigation or a recovery.
+        this.listen(this.video, 'waiting', () => {
+            if (this.state === LivePlayer.States.PLAYING) {
+                this.transitionTo(LivePlayer.States.STALLED, 'video-waiting');
+            }
         });
     }
 
     /**
-     * Logs messages to the console and the debug UI if enabled.
+     * Logs a message as a structured record to the console, the log history, the sinks and the debug UI if enabled.
      * @param {string} message - The message to log.
-     * @param {('debug'|'info'|'error')} [level='info'] - The severity level of the log.
-     * @param {object|null} [details=null] - Optional object with additional details for console logging.
-     */
-    log(message, level = "info", details = null) {
-        const messageLevel = this.logLevelMap[level] ?? 1;
-        if (messageLevel >= this.numericLogLevel) {
-            const consoleMethod =
-                {
-                    debug: console.log,
-                    info: console.info,
-                    error: console.error,
-                }[level] || console.log;
-            const logPrefix = `[LivePlayer][${this.id}]`;
-            if (
-                level === "debug" &&
-                details !== null &&
-                details !== undefined
-            ) {
-                consoleMethod(`${logPrefix} ${message}`, details);
+     * @param {('debug'|'info'|'warn'|'error')} [level='info'] - The severity level of the log.
+     * @param {object|null} [details=null] - Optional object with additional details, kept in the record.
+     * @param {string} [category='player'] - The part of the player that logs the message, e.g. an engine name.
+     */
+    log(message, level = "info", details = null, category = "player") {
+        this.logger.log(level, message, details, category);
+        // FIX: Use this.options.debugUI and check for logOutput's existence.
+        if (this.options.debugUI && this.logOutput) {
+            this.logOutput.value = this.logger.getRecords(100).reverse().map(({ timestamp, level: recordLevel, message: text }) => {
+                const time = new Date(timestamp);
+                const clock = [time.getHours(), time.getMinutes(), time.getSeconds()].map(part => part.toString().padStart(2, "0")).join(":");
+                return `[${clock}] [${recordLevel.toUpperCase()}] ${text}`;
+            }).join("\n"); // Use .value for <textarea>
+        }
+    }
+
+    /**
+     * Adds a log sink: a function that receives every log record at or above `options.logger.level`.
+     * A record is `{ timestamp, level, playerId, category, message, details }`, where `details` is plain JSON-safe data.
+     * @param {function(object): void} sink - The sink.
+     * @returns {this} The player instance, for chaining.
+     * @throws {TypeError} If the sink is not a function.
+     */
+    addLogSink(sink) {
+        this.logger.addSink(sink);
+        return this;
+    }
+
+    /**
+     * Removes a log sink added with `addLogSink()` or `options.logger.sinks`.
+     * @param {function(object): void} sink - The sink.
+     * @returns {this} The player instance, for chaining.
+     */
+    removeLogSink(sink) {
+        this.logger.removeSink(sink);
+        return this;
+    }
+
+    /**
+     * Bundles the recent log records with information about the player, its options and its stats, e.g. for a bug report.
+     * Of the options, only those that carry no URLs, headers or other possibly sensitive values are included.
+     * The bundle holds the last `options.logger.historySize` records of all levels, regardless of `logLevel`.
+     * @param {object} [options={}] - Export options.
+     * @param {('json'|'text')} [options.format='json'] - A JSON document, or a header followed by one line per record.
+     * @param {boolean} [options.download=false] - Whether to also save the bundle as a file in the browser.
+     * @returns {Blob} The bundle.
+     */
+    exportLogs({ format = "json", download = false } = {}) {
+        const content = this.logger.serialize(format, {
+            playerId: this.id,
+            version: LivePlayer.VERSION,
+            exportedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            page: window.location.href,
+            state: this.state,
+            engine: this.currentPlayerType,
+            url: this.currentUrl,
+            stats: this.getStats(),
+            options: getExportedOptions(this.options),
+        });
+        const blob = new Blob([content], { type: format === "text" ? "text/plain" : "application/json" });
+
+        if (download) {
+            const link = document.createElement("a");
+            link.href = URL.createObjectURL(blob);
+            link.download = `liveplayer-${this.id}-${Date.now()}.${format === "text" ? "txt" : "json"}`;
+            link.click();
+            // Revoke the URL once the download has had a chance to start.
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        }
+        return blob;
+    }
+
+    /**
+     * Returns a string of the current locale, see `options.messages`.
+     * @private
+     * @param {string} key - The message key, e.g. 'offline.message'.
+     * @param {object} [params={}] - Values for the `{name}` placeholders of the message.
+     * @returns {string} The string, or the key itself if no locale has the message.
+     */
+    t(key, params = {}) {
+        const message = resolveMessage(this.locale, key, this.options.messages);
+        return message === undefined ? key : formatMessage(message, params);
+    }
+
+    /**
+     * Translates the strings of the player UI into the current locale: the elements of the template
+     * marked with `data-i18n` (text), `data-i18n-title` and `data-i18n-aria-label`, and the strings
+     * that depend on the player's state. Also sets the language and text direction of the player.
+     * @private
+     */
+    applyLocale() {
+        this.container.lang = this.locale;
+        this.container.dir = isRtlLocale(this.locale) ? "rtl" : "ltr";
+        this.container.querySelectorAll("[data-i18n]").forEach((element) => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        this.container.querySelectorAll("[data-i18n-title]").forEach((element) => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        this.container.querySelectorAll("[data-i18n-aria-label]").forEach((element) => {
+            element.setAttribute("aria-label", this.t(element.dataset.i18nAriaLabel));
+        });
+
+        this.updateAllUI();
+        this.updateQualityUI();
+        if (this.statsRefresher) this.updateStatsUI();
+        if (this.offlineCountdown) this.updateCountdown();
+        if (this.currentError && this.errorOverlay) {
+            this.errorOverlay.textContent = this.t(this.currentError.key, this.currentError.params);
+        }
+    }
+
+    /**
+     * Ends a setup that cannot play its source, by going idle and displaying the error. While failing over,
+     * the next source is tried instead, since another line may well be playable.
+     * @private
+     * @param {string} reason - The reason of the state change.
+     * @param {string} key - The message key of the error, see `displayError()`.
+     * @param {object} [params={}] - Values for the placeholders of the message.
+     */
+    failSetup(reason, key, params = {}) {
+        if (this.failoverSession) {
+            this.failOver(reason);
+            return;
+        }
+        this.transitionTo(LivePlayer.States.IDLE, reason);
+        this.displayError(key, params);
+    }
+
+    /**
+     * Displays an error message in the player overlay.
+     * @private
+     * @param {string} key - The message key of the error, e.g. 'error.noSources'. Apps can override it with `options.messages`.
+     * @param {object} [params={}] - Values for the placeholders of the message.
+     */
+    displayError(key, params = {}) {
+        const message = this.t(key, params);
+        this.currentError = { key, params };
+        if (this.loadingOverlay) this.loadingOverlay.style.display = "none";
+        if (this.errorOverlay) {
+            this.errorOverlay.textContent = message;
+            this.errorOverlay.style.display = "flex";
+        } else if (!this.options.headless) {
+            this.container.innerHTML = `<div class="player-error-overlay" role="alert" style="display: flex; position:relative; background: #333; color:#ffc107; padding:20px; text-align:center; justify-content:center; align-items:center;"></div>`;
+            this.container.firstElementChild.textContent = message;
+        }
+        this.emit(LivePlayer.Events.ERROR, { message, key });
+    }
+
+    /**
+     * Sets up playback of a stream, see `performSetup()`. Most callers don't wait for the setup, so an error
+     * it throws, e.g. from a hook of a registered engine adapter, is handled here like a failed stream.
+     * @private
+     * @param {string} targetUrl - The user-selected, primary stream URL.
+     * @param {string} [reason="unknown"] - The reason for this setup call (for logging).
+     * @returns {Promise<void>} Resolves once the engine has been set up, or the setup was abandoned or failed.
+     */
+    setupPlayer(targetUrl, reason = "unknown") {
+        const setup = this.performSetup(targetUrl, reason);
+        // The setup takes its ID before it first waits, so this is the ID of this setup.
+        const setupId = this.setupCounter;
+        return setup.catch((error) => {
+            this.log(`Setup of ${targetUrl} failed (${reason}): ${error.message}`, 'error', error);
+            // A newer setup or destroy() has taken over in the meantime.
+            if (setupId !== this.setupCounter || this.isDestroyed) return;
+            this.destroyEngine();
+            this.currentUrl = targetUrl;
+            this.handleStreamError('setup-failed');
+        });
+    }
+
+    /**
+     * The central player setup dispatcher. It determines the effective stream URL based on browser
+     * capabilities and the provided fallback options, then calls the appropriate setup method.
+     * @private
+     * @param {string} targetUrl - The user-selected, primary stream URL.
+     * @param {string} reason - The reason for this setup call (for logging).
+     * @returns {Promise<void>} Resolves once the engine has been set up, or the setup was abandoned.
+     */
+    async performSetup(targetUrl, reason) {
+        if (this.isDestroyed) {
+            this.log(`Ignoring setup request (${reason}) on a destroyed player.`, 'debug');
+            return;
+        }
+        this.log(`Setup requested for: ${targetUrl}, Reason: ${reason}`, "info");
+
+        // Set the userSelectedUrl ONLY if it's a direct user action or initial load.
+        // Recovery attempts should NOT change the user's original selection.
+        if (!reason.endsWith('-recovery')) {
+            this.userSelectedUrl = targetUrl;
+            // A new selection starts with a clean slate for failover as well.
+            this.failoverSession = null;
+        }
+        this.stopFailBackChecker();
+        // This setup supersedes a pending reconnect, or is the reconnect itself.
+        this.clearTimer(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        // --- FIX: Reset stale content cache on every new setup ---
+        // This prevents state from a previously failed stream from polluting the new one.
+        this.lastKnownStaleContent = null;
+
+        // Reset the offline state before any new setup attempt. This stops
+        // the polling timer if it's running.
+        this.clearOfflineState();
+
+        if (!targetUrl) {
+            this.transitionTo(LivePlayer.States.IDLE, 'invalid-url');
+            this.displayError('error.invalidUrl');
+            return;
+        }
+
+        const setupId = ++this.setupCounter;
+        this.transitionTo(LivePlayer.States.LOADING, reason);
+        if (!reason.endsWith('-recovery')) this.authRefreshes = 0;
+
+        // The URLs of the lines identify the sources throughout the player. Only the engine, probes and polls
+        // request the URL returned by `options.resolveUrl`, which may e.g. carry a short-lived token.
+        let resolveReason = 'load';
+        if (reason.endsWith('-auth-recovery')) resolveReason = 'auth';
+        else if (reason.endsWith('-recovery')) resolveReason = 'recovery';
+        const failToResolve = (url) => {
+            this.destroyEngine();
+            this.currentUrl = url;
+            this.handleStreamError('resolve-url-failed');
+        };
+        // A failed probe request is handled like the same failure of an engine, e.g. a 404 declares the stream offline.
+        const failToProbe = (url, error) => {
+            if (setupId !== this.setupCounter || this.isDestroyed) return;
+            this.destroyEngine();
+            this.currentUrl = url;
+            this.handleEngineError({
+                details: error.status ? `http-${error.status}` : 'network-error',
+                fatal: true,
+                status: error.status || null,
+                data: error,
+            }, 'probe');
+        };
+
+        let requestUrl = await this.resolveRequestUrl(targetUrl, resolveReason);
+        if (setupId !== this.setupCounter || this.isDestroyed) return;
+        if (requestUrl === null) {
+            failToResolve(targetUrl);
+            return;
+        }
+
+        // Detecting the type may require a probe request. Bail out if another setup
+        // or destroy() happened while we were waiting for it.
+        let targetType;
+        try {
+            targetType = await this.resolveStreamType(targetUrl, requestUrl);
+        } catch (error) {
+            failToProbe(targetUrl, error);
+            return;
+        }
+        if (setupId !== this.setupCounter || this.isDestroyed) return;
+
+        // --- Core fallback logic ---
+        let urlToPlay = targetUrl;
+        let typeToPlay = targetType;
+        let engineToUse = this.findEngine(targetUrl, targetType);
+        const lineInfo = this.streamUrlList.find(line => line.url === targetUrl);
+
+        if (!engineToUse && lineInfo && lineInfo.fallback) {
+            this.log(`No registered engine can play the ${targetType || 'unknown'} stream in this browser.`, 'warn');
+            urlToPlay = lineInfo.fallback;
+            this.log(`Switching to fallback URL: ${urlToPlay}`, 'info');
+            requestUrl = await this.resolveRequestUrl(urlToPlay, resolveReason);
+            if (setupId !== this.setupCounter || this.isDestroyed) return;
+            if (requestUrl === null) {
+                failToResolve(urlToPlay);
+                return;
+            }
+            try {
+                typeToPlay = await this.resolveStreamType(urlToPlay, requestUrl);
+            } catch (error) {
+                failToProbe(urlToPlay, error);
+                return;
+            }
+            if (setupId !== this.setupCounter || this.isDestroyed) return;
+            engineToUse = this.findEngine(urlToPlay, typeToPlay);
+            this.emit(LivePlayer.Events.FALLBACK_USED, {
+                name: lineInfo.name,
+                url: targetUrl,
+                fallbackUrl: urlToPlay,
+                reason: `${targetType || 'format'}-unsupported`,
+            });
+        }
+
+        if (!engineToUse) {
+            if (typeToPlay) {
+                this.log(`${typeToPlay.toUpperCase()} playback is not supported in this browser. No registered engine accepted ${urlToPlay}.`, 'error');
+                this.failSetup(`${typeToPlay}-unsupported`, 'error.typeUnsupported', { type: typeToPlay.toUpperCase() });
             } else {
-                consoleMethod(`${logPrefix} ${message}`);
+                this.log(`Unsupported stream format for URL: ${urlToPlay}. Set the line's "type" or enable the "probe" option for URLs without an extension.`, 'error');
+                this.failSetup('unsupported-format', 'error.formatUnsupported', { url: urlToPlay });
             }
+            return;
         }
-        // FIX: Use this.options.debugUI and check for logOutput's existence.
-        if (this.options.debugUI && this.logOutput) {
-            const now = new Date();
-            const timestamp = `${now.getHours().toString().padStart(2, "0")}:${now.getMinutes().toString().padStart(2, "0")}:${now.getSeconds().toString().padStart(2, "0")}`;
-            const logEntry = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-            this.logHistory.unshift(logEntry);
-            if (this.logHistory.length > 100) this.logHistory.pop();
-            this.logOutput.value = this.logHistory.join("\n"); // Use .value for <textarea>
+
+        // --- Load the engine's library on first use ---
+        if (engineToUse.adapter.load) {
+            try {
+                await engineToUse.adapter.load(this.video, this.getEngineContext(engineToUse.name, { library: this.options.libraries[engineToUse.name] }));
+            } catch (error) {
+                if (setupId !== this.setupCounter || this.isDestroyed) return;
+                this.log(`Failed to load the ${engineToUse.name} playback engine. ${error.message}`, 'error', error);
+                this.failSetup(`${engineToUse.name}-load-failed`, 'error.engineLoadFailed', { engine: engineToUse.name });
+                return;
+            }
+            if (setupId !== this.setupCounter || this.isDestroyed) return;
+        }
+
+        // --- Unified preparation and cleanup ---
+        this.destroyEngine();
+        this.video.src = '';
+        this.video.removeAttribute('src');
+
+        this.currentUrl = urlToPlay;
+        this.updateActiveLineUI(targetUrl); // Highlight the line that is actually being played
+        this.emit(LivePlayer.Events.LOADING, { url: urlToPlay, reason });
+
+        // --- Hand the final URL over to the engine ---
+        this.attachEngine(engineToUse, requestUrl);
+    }
+
+    /**
+     * Applies `options.network` to a request: the configured headers, the credentials mode and the request interceptor.
+     * @private
+     * @param {string} url - The URL to request.
+     * @param {RequestInit} [init={}] - The settings of the request. Its own headers take precedence over the configured ones.
+     * @returns {{url: string, init: RequestInit}} The URL to request, possibly changed by the interceptor, and the settings.
+     * Their headers are a plain object with lower-case names.
+     */
+    prepareRequest(url, init = {}) {
+        const { headers, withCredentials, requestInterceptor } = this.options.network;
+        // The request's headers may be a `Headers` instance, e.g. from hls.js, which spreading would lose.
+        const mergedHeaders = new Headers(headers);
+        new Headers(init.headers || {}).forEach((value, name) => mergedHeaders.set(name, value));
+        const request = {
+            url,
+            init: {
+                ...init,
+                headers: Object.fromEntries(mergedHeaders),
+                credentials: withCredentials ? 'include' : 'same-origin',
+            },
+        };
+        if (typeof requestInterceptor === 'function') {
+            const interceptedUrl = requestInterceptor(url, request.init);
+            if (typeof interceptedUrl === 'string' && interceptedUrl) request.url = interceptedUrl;
+        }
+        return request;
+    }
+
+    /**
+     * Fetches a URL with `options.network` applied. The request is aborted if the server has not responded
+     * within `network.timeout`, or whenever the caller aborts its own `init.signal`.
+     * @private
+     * @param {string} url - The URL to request.
+     * @param {RequestInit} [init={}] - The settings of the request.
+     * @returns {Promise<Response>} The response.
+     */
+    async request(url, init = {}) {
+        const { url: requestUrl, init: requestInit } = this.prepareRequest(url, init);
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        // Stays attached after the response, so that the caller can still abort reading the body.
+        if (init.signal) {
+            if (init.signal.aborted) abort();
+            else init.signal.addEventListener('abort', abort, { once: true });
+        }
+        const { timeout } = this.options.network;
+        const timer = timeout > 0 ? setTimeout(abort, timeout) : null;
+        try {
+            return await fetch(requestUrl, { ...requestInit, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Returns the URL to request for a source, through `options.resolveUrl` if configured.
+     * The resolved URL is not logged, since it may carry credentials.
+     * @private
+     * @param {string} url - The primary or fallback URL of a line.
+     * @param {('load'|'recovery'|'auth'|'poll')} reason - Why the URL is requested.
+     * @returns {Promise<string | null>} The URL to request, or null if `resolveUrl` failed.
+     */
+    async resolveRequestUrl(url, reason) {
+        if (typeof this.options.resolveUrl !== 'function') return url;
+
+        const line = this.streamUrlList.find(l => l.url === url || l.fallback === url);
+        const source = line
+            ? { ...line, target: line.url === url ? 'url' : 'fallback' }
+            : { name: null, url, fallback: null, type: null, target: 'url' };
+        try {
+            const resolvedUrl = await this.options.resolveUrl(source, reason);
+            if (typeof resolvedUrl !== 'string' || !resolvedUrl) {
+                throw new TypeError('resolveUrl must return a non-empty URL string.');
+            }
+            this.log(`Resolved the URL of ${url} (${reason}).`, 'debug');
+            return resolvedUrl;
+        } catch (error) {
+            this.log(`resolveUrl failed for ${url} (${reason}): ${error.message}`, 'warn', error);
+            return null;
+        }
+    }
+
+    /**
+     * Determines the type of a stream URL. An explicit `type` on the line wins, then the
+     * extension of the URL path (query string and fragment are ignored), and finally,
+     * if `options.probe` is enabled, a probe request.
+     * @private
+     * @param {string} url - The stream URL.
+     * @param {string} [requestUrl=url] - The URL to probe, see `resolveRequestUrl()`. A detected type is cached for `url`.
+     * @returns {Promise<string | null>} The stream type ('flv', 'hls' or 'dash'), or null if it could not be determined.
+     * @throws {Error} If the probe request failed, see `probeStreamType()`.
+     */
+    async resolveStreamType(url, requestUrl = url) {
+        const line = this.streamUrlList.find(l => l.url === url);
+        if (line && line.type) return line.type;
+
+        const detectedType = this.detectStreamType(url);
+        if (detectedType || !this.options.probe) return detectedType;
+
+        if (this.probedStreamTypes.has(url)) return this.probedStreamTypes.get(url);
+        const probedType = await this.probeStreamType(requestUrl);
+        this.log(`Probed stream type for ${url}: ${probedType || 'unknown'}`, 'info');
+        // An inconclusive response is probed again next time, since e.g. an offline stream may serve a placeholder.
+        if (probedType) this.probedStreamTypes.set(url, probedType);
+        return probedType;
+    }
+
+    /**
+     * Detects the stream type from the extension of the URL path.
+     * @private
+     * @param {string} url - The stream URL, absolute or relative to the page.
+     * @returns {string | null} The stream type, or null if the extension is not recognized.
+     */
+    detectStreamType(url) {
+        let pathname;
+        try {
+            ({ pathname } = new URL(url, document.baseURI));
+        } catch (error) {
+            return null;
+        }
+        const extension = Object.keys(EXTENSION_STREAM_TYPES).find(ext => pathname.toLowerCase().endsWith(ext));
+        return extension ? EXTENSION_STREAM_TYPES[extension] : null;
+    }
+
+    /**
+     * Requests a stream and sniffs its type from the `Content-Type` header or, if that is
+     * not conclusive, from the first bytes of the body (the `FLV` signature, `#EXTM3U` or an `<MPD>` element).
+     * The request is aborted as soon as the type is known, so a live FLV stream isn't downloaded.
+     * @private
+     * @param {string} url - The stream URL.
+     * @returns {Promise<string | null>} The stream type, or null if the response is not conclusive.
+     * @throws {Error} If the request failed, with the HTTP status as `status` if the server responded.
+     */
+    async probeStreamType(url) {
+        const controller = new AbortController();
+        try {
+            const response = await this.request(url, { cache: 'no-cache', signal: controller.signal });
+            if (!response.ok) {
+                throw Object.assign(new Error(`The server responded with ${response.status}.`), { status: response.status });
+            }
+
+            const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+            if (CONTENT_TYPE_STREAM_TYPES[contentType]) return CONTENT_TYPE_STREAM_TYPES[contentType];
+            if (!response.body) return null;
+
+            const { value } = await response.body.getReader().read();
+            if (!value) return null;
+            const head = new TextDecoder().decode(value.subarray(0, 512)).replace(/^\uFEFF/, '').trimStart();
+            if (head.startsWith('FLV')) return 'flv';
+            if (head.startsWith('#EXTM3U')) return 'hls';
+            // An MPD may be preceded by an XML declaration and comments.
+            if (head.startsWith('<') && /<MPD[\s>]/.test(head)) return 'dash';
+            return null;
+        } catch (error) {
+            // The URL is not logged, since it may be a resolved URL with credentials.
+            this.log(`Stream type probe failed: ${error.message}`, 'warn');
+            throw error;
+        } finally {
+            controller.abort();
         }
     }
 
     /**
-     * Displays an error message in the player overlay.
+     * Finds the first registered engine that can play a stream.
      * @private
-     * @param {string} message - The error message to display.
+     * @param {string} url - The stream URL.
+     * @param {string | null} type - The stream type of the URL.
+     * @returns {{name: string, adapter: EngineAdapter} | null} The engine, or null if none can play the stream.
      */
-    displayError(message) {
-        if (this.loadingOverlay) this.loadingOverlay.style.display = "none";
-        if (this.errorOverlay) {
-            this.errorOverlay.textContent = message;
-            this.errorOverlay.style.display = "flex";
-        } else {
-            this.container.innerHTML = `<div class="player-error-overlay" style="display: flex; position:relative; background: #333; color:#ffc107; padding:20px; text-align:center; justify-content:center; align-items:center;">${message}</div>`;
+    findEngine(url, type) {
+        for (const [name, adapter] of LivePlayer.engines) {
+            try {
+                if (adapter.canPlay(url, type, this.video)) return { name, adapter };
+            } catch (error) {
+                this.log(`The canPlay hook of the ${name} engine failed: ${error.message}`, 'warn', error);
+            }
         }
+        return null;
     }
 
     /**
-     * The central player setup dispatcher. It determines the effective stream URL based on browser
-     * capabilities and the provided fallback options, then calls the appropriate setup method.
+     * Attaches an engine to the video element, subscribes to its normalized errors and starts playback.
      * @private
-     * @param {string} targetUrl - The user-selected, primary stream URL.
-     * @param {string} [reason="unknown"] - The reason for this setup call (for logging).
+     * @param {{name: string, adapter: EngineAdapter}} engine - The engine to play the stream with.
+     * @param {string} url - The stream URL to play.
      */
-    setupPlayer(targetUrl, reason = "unknown") {
-        this.log(`Setup requested for: ${targetUrl}, Reason: ${reason}`, "info");
-
-        // Set the userSelectedUrl ONLY if it's a direct user action or initial load.
-        // Recovery attempts should NOT change the user's original selection.
-        if (!reason.endsWith('-recovery')) {
-            this.userSelectedUrl = targetUrl;
-        }
-
-        // --- FIX: Reset stale content cache on every new setup ---
-        // This prevents state from a previously failed stream from polluting the new one.
-        this.lastKnownStaleContent = null;
+    attachEngine({ name, adapter }, url) {
+        this.currentPlayerType = name;
+        this.engine = adapter;
+        // A new stream starts in automatic quality selection.
+        this.activeQuality = { index: -1, auto: true };
 
-        if (!targetUrl) {
-            this.displayError("Setup failed: Target URL is invalid.");
+        let handle;
+        try {
+            handle = adapter.attach(this.video, url, this.getEngineContext(name));
+        } catch (error) {
+            this.engine = null;
+            this.log(`Engine "${name}" failed to attach: ${error.message}`, 'error', error);
+            this.failSetup(`${name}-attach-failed`, 'error.engineStartFailed', { engine: name });
             return;
         }
+        this.engineHandle = handle;
 
-        // Reset the offline state before any new setup attempt. This clears
-        // the offline message and stops the polling timer if it's running.
-        this.clearOfflineState();
-
-        // --- Core fallback logic ---
-        let urlToPlay = targetUrl;
-        const lineInfo = this.streamUrlList.find(line => line.url === targetUrl);
-
-        if (targetUrl.endsWith('.flv') && !flvjs.isSupported()) {
-            this.log(`FLV stream selected, but flv.js is not supported.`, 'warn');
-            if (lineInfo && lineInfo.fallback) {
-                urlToPlay = lineInfo.fallback;
-                this.log(`Switching to fallback URL: ${urlToPlay}`, 'info');
-            } else {
-                const errorMsg = 'FLV is not supported and no fallback HLS stream is available for this line.';
-                this.displayError(errorMsg);
-                this.log(errorMsg, 'error');
-                return;
-            }
+        adapter.onError(handle, (error) => {
+            // Errors from an engine that has been replaced or destroyed in the meantime are stale.
+            if (this.engineHandle !== handle) return;
+            this.handleEngineError(error);
+        });
+        if (adapter.onQualityChange) {
+            adapter.onQualityChange(handle, () => {
+                if (this.engineHandle === handle) this.handleQualityChange();
+            });
         }
+        this.updateQualityUI();
 
-        // --- Unified preparation and cleanup ---
-        this.isLoading = true;
-        this.loadingOverlay.style.display = "flex";
-        if (this.errorOverlay) this.errorOverlay.style.display = "none";
-
-        if (this.flvPlayer) { this.flvPlayer.destroy(); this.flvPlayer = null; }
-        if (this.hlsPlayer) { this.hlsPlayer.destroy(); this.hlsPlayer = null; }
-        this.video.src = '';
-        this.video.removeAttribute('src');
+        this.commonPlayLogic();
+    }
 
-        this.currentUrl = urlToPlay;
-        this.updateActiveLineUI(targetUrl); // Highlight user-selected main line in UI
-
-        // --- Schedule based on the final URL to be played ---
-        if (urlToPlay.endsWith('.m3u8')) {
-            this.currentPlayerType = 'hls';
-            this.setupHlsPlayer(urlToPlay, reason);
-        } else if (urlToPlay.endsWith('.flv')) {
-            this.currentPlayerType = 'flv';
-            this.setupFlvPlayer(urlToPlay, reason);
-        } else {
-            const errorMsg = `Unsupported stream format for URL: ${urlToPlay}`;
-            this.displayError(errorMsg);
-            this.log(errorMsg, 'error');
-            this.isLoading = false;
-            this.loadingOverlay.style.display = "none";
-        }
+    /**
+     * Builds the context that is passed to the engine adapter's methods.
+     * @private
+     * @param {string} name - The name of the engine, used as the category of its log records.
+     * @param {object} [extra={}] - Additional, method-specific context properties.
+     * @returns {EngineContext}
+     */
+    getEngineContext(name, extra = {}) {
+        return {
+            options: this.options,
+            log: (message, level, details) => this.log(message, level, details, name),
+            fetch: (url, init) => this.request(url, init),
+            prepareRequest: (url, init) => this.prepareRequest(url, init),
+            ...extra,
+        };
     }
 
     /**
-     * Sets up the flv.js player instance for a given FLV stream URL. This method
-     * is only called if flv.js is supported by the browser.
+     * Reacts to a normalized error of the active engine, or of the probe request of the source being set up.
      * @private
-     * @param {string} url - The FLV stream URL to play.
-     * @param {string} reason - The reason for this setup call (for logging).
+     * @param {EngineError} error - The error reported by the engine adapter.
+     * @param {string} [name=this.currentPlayerType] - The source of the error, used in logs and recovery reasons.
      */
-    setupFlvPlayer(url, reason) {
-        // This check is redundant since setupPlayer already verified it, but keeping it makes it safer
-        if (!flvjs.isSupported()) {
-            this.displayError('FLV playback is not supported in this browser.');
-            this.log('flv.js is not supported, cannot play FLV stream.', 'error');
+    handleEngineError(error, name = this.currentPlayerType) {
+        this.log(`${name} error: ${error.details}`, 'error', error.data);
+
+        // --- PRIORITY 0: An expired signed URL is refreshed rather than retried ---
+        // Retrying the same URL would fail the same way and only lead to the stream being declared offline.
+        if (AUTH_ERROR_STATUSES.includes(error.status) && typeof this.options.resolveUrl === 'function'
+            && this.authRefreshes < MAX_AUTH_REFRESHES) {
+            this.authRefreshes++;
+            this.log(`${name} request was rejected (${error.status}). Refreshing the URL (${this.authRefreshes}/${MAX_AUTH_REFRESHES}).`, 'warn');
+            // Stop right away, so that the engine doesn't report the same rejection for each of its requests.
+            this.stopEngine();
+            // The '-recovery' suffix keeps the user's selection and the failover session.
+            this.setupPlayer(this.currentUrl, `${name}-${error.status}-auth-recovery`);
             return;
         }
 
-        this.log(`Initializing flv.js for: ${url}`, 'debug');
-
-        this.flvPlayer = flvjs.createPlayer({
-            type: "flv",
-            isLive: true,
-            url,
-        }, {
-            enableStashBuffer: false
-        });
-
-        this.flvPlayer.attachMediaElement(this.video);
-        this.flvPlayer.load();
-
-        this.flvPlayer.on(flvjs.Events.ERROR, (errorType, errorDetail, errorInfo) => {
-            this.log(`flv.js runtime error: ${errorType}`, "error", { errorDetail, errorInfo });
-
-            const httpStatus = errorInfo && errorInfo.code;
-
-            // We only handle network errors
-            if (errorType === flvjs.ErrorTypes.NETWORK_ERROR) {
-                // --- Case 1: Streamer not live (encountered 404 on initial load) ---
-                // This is the most special case - requires immediate UI update and termination of all subsequent operations.
-                if (httpStatus === 404 && this.recoveryAttempts === 0) {
-                    this.log('FLV stream not found (404) on initial attempt. Showing offline overlay.', 'error');
-
-                    // Take direct manual control of UI, don't call any complex handlers
-                    if (this.loadingOverlay) this.loadingOverlay.style.display = 'none';
-                    if (this.offlineOverlay) this.offlineOverlay.style.display = 'flex';
-
-                    // Stop all player activities since we've confirmed the stream is offline
-                    this.flvPlayer.unload();
-                    this.flvPlayer.detachMediaElement();
-
-                    // Manually initiate background polling
-                    this.handleOfflineState();
-
-                    return; // *** Critical: Terminate execution at this point ***
-                }
-
-                // --- Case 2: All other network errors (mid-stream interruptions, 404 during retries, etc.) ---
-                // These scenarios are all handled by the standard error processor with retry counter.
-                this.handleStreamError(`flv-${errorDetail}`);
+        // --- PRIORITY 1: Handle the unique UI case of an initial 404 ---
+        // This must be checked first for the best user experience on an offline stream.
+        if (error.status === 404 && this.recoveryAttempts === 0) {
+            // While failing over, a missing source just means moving on to the next candidate.
+            if (this.failoverSession) {
+                this.failOver(`${name}-404`);
+                return;
             }
-        });
+            this.log(`${name} stream not found (404) on initial attempt. Displaying offline overlay and starting poller.`, 'error');
+            this.transitionTo(LivePlayer.States.OFFLINE, `${name}-404`);
+            // Stop all engine activities since we've confirmed the stream is offline
+            this.stopEngine();
+            this.emit(LivePlayer.Events.OFFLINE, { url: this.userSelectedUrl, reason: `${name}-404` });
+            this.handleOfflineState();
+            return;
+        }
 
-        this.flvPlayer.on(flvjs.Events.METADATA_ARRIVED, () => {
-            this.log("FLV stream connected!", "info");
-        });
+        // --- PRIORITY 2: If we are already investigating, ignore all subsequent errors ---
+        // This state lock is the key to preventing all race conditions.
+        if (this.state === LivePlayer.States.INVESTIGATING) {
+            this.log(`Ignoring ${name} error (${error.details}) because an investigation is already in progress.`, 'debug');
+            return;
+        }
 
-        this.commonPlayLogic();
+        // --- PRIORITY 3: Trust the engine on fatal errors ---
+        if (error.fatal) {
+            this.handleStreamError(`${name}-${error.details}`);
+            return;
+        }
+
+        // --- PRIORITY 4: Investigate ambiguous stalls, if the engine knows how to ---
+        if (error.stalled && this.engine.investigateFailure) {
+            // Entering this state is the lock that keeps other errors and "playing" events out.
+            if (!this.transitionTo(LivePlayer.States.INVESTIGATING, `${name}-buffer-stalled`)) return;
+            this.emit(LivePlayer.Events.STALL, { url: this.currentUrl, type: name });
+            this.investigateFailure();
+        }
     }
 
     /**
-     * Sets up the HLS player, attempting to use the browser's native HLS support first
-     * (e.g., on Safari) and falling back to hls.js if necessary.
+     * Stops the active engine without releasing it, when the stream is declared offline.
      * @private
-     * @param {string} url - The HLS (.m3u8) stream URL to play.
-     * @param {string} reason - The reason for this setup call (for logging).
      */
-    setupHlsPlayer(url, reason) {
-        if (this.video.canPlayType('application/vnd.apple.mpegurl')) { // Native HLS
-            this.log(`Using native HLS playback for: ${url}`, 'info');
-            this.video.src = url;
-            this.video.addEventListener('loadedmetadata', () => {
-                this.log('Native HLS stream metadata loaded.', 'info');
-            }, { once: true }); // Use once option to prevent duplicate binding
-            this.commonPlayLogic();
-        } else if (Hls.isSupported()) { // hls.js
-            this.log(`Using hls.js for playback: ${url}`, 'info');
-            const hlsConfig = this.options.liveEdge.hlsConfig || {};
-            this.hlsPlayer = new Hls(hlsConfig);
-            this.hlsPlayer.loadSource(url);
-            this.hlsPlayer.attachMedia(this.video);
-
-            this.hlsPlayer.on(Hls.Events.MANIFEST_PARSED, () => {
-                this.log('hls.js manifest parsed, stream ready.', 'info');
-            });
-
-            this.hlsPlayer.on(Hls.Events.ERROR, (event, data) => {
-                this.log(`hls.js error: ${data.type} - ${data.details}`, 'error', data);
-
-                // --- PRIORITY 1: Handle the unique UI case of an initial 404 ---
-                // This must be checked first for the best user experience on an offline stream.
-                if (data.details === Hls.ErrorDetails.MANIFEST_LOAD_ERROR && data.response?.code === 404 && this.recoveryAttempts === 0) {
-                    this.log('HLS manifest not found (404) on initial attempt. Displaying offline overlay and starting poller.', 'error');
-                    if (this.loadingOverlay) this.loadingOverlay.style.display = 'none';
-                    if (this.offlineOverlay) this.offlineOverlay.style.display = 'flex';
-                    this.hlsPlayer.stopLoad();
-                    this.handleOfflineState();
-                    return;
-                }
-
-                // --- PRIORITY 2: If we are already investigating, ignore all subsequent errors ---
-                // This state lock is the key to preventing all race conditions.
-                if (this.isObservingStall) {
-                    this.log(`Ignoring HLS error (${data.details}) because an investigation is already in progress.`, 'debug');
-                    return;
-                }
-
-                // --- PRIORITY 3: Trust hls.js on FATAL errors ---
-                // If the library itself gives up after its own retries, we escalate to our recovery mechanism.
-                // This handles levelLoadTimeOut, manifestLoadError, and any other future fatal errors generically.
-                if (data.fatal) {
-                    this.log(`A fatal HLS error occurred (${data.details}). Escalating to our recovery handler.`, 'warn');
-                    this.handleStreamError(`hls-fatal-${data.details}`);
-                    return;
-                }
-
-                // --- PRIORITY 4: Investigate ambiguous "soft errors" ---
-                // If the error is not fatal but playback is stalled, it's time for our expert investigator to step in.
-                if (data.details === Hls.ErrorDetails.BUFFER_STALLED_ERROR) {
-                    this.isObservingStall = true; // Set the lock
-                    this.investigateHlsFailure();
-                }
-
-                // All other non-fatal errors (like bufferNudgeOnStall) are considered minor and handled internally
-                // by hls.js, so we don't need to react to them.
-            });
-
-            this.commonPlayLogic();
+    stopEngine() {
+        if (!this.engine) return;
+        if (this.engine.stop) {
+            this.engine.stop(this.engineHandle, this.video);
         } else {
-            this.displayError('HLS playback is not supported in this browser.');
-            this.log('Neither native HLS nor hls.js are supported.', 'error');
+            this.destroyEngine();
         }
     }
 
+    /**
+     * Releases the active engine, if any.
+     * @private
+     */
+    destroyEngine() {
+        if (!this.engine) return;
+        const { engine, engineHandle } = this;
+        // Clear first, so that errors raised while tearing down are recognized as stale.
+        this.engine = null;
+        this.engineHandle = null;
+        engine.destroy(engineHandle, this.video);
+        this.updateQualityUI();
+    }
+
     /**
      * Encapsulates the common logic for initiating video playback. It handles the play promise,
      * updates the UI state, and starts the latency monitor for FLV streams.
      * @private
      */
     commonPlayLogic() {
-        this.video.muted = !this.userInteracted;
+        // Autoplay is only allowed muted before the first interaction. Afterwards the viewer's choice is kept.
+        if (!this.userInteracted) this.video.muted = true;
         const playPromise = this.video.play();
 
         if (playPromise !== undefined) {
@@ -701,146 +2440,695 @@ export default class LivePlayer {
                     this.updateAllUI();
                 })
                 .finally(() => {
-                    this.isLoading = false;
                     this.updateAllUI();
                     if (this.currentPlayerType === 'flv' && this.options.liveEdge.enabled) {
                         this.startLatencyMonitor();
-                    } else if (this.latencyChecker) { // If switching from FLV to HLS, stop old delayed check
-                        clearInterval(this.latencyChecker);
-                        this.latencyChecker = null;
+                    } else { // If switching from FLV to HLS, stop the old controller
+                        this.stopLatencyMonitor();
                     }
                 });
         }
     }
 
+    /**
+     * Returns the markup of an icon, from `options.icons` or the built-in icon set.
+     * @private
+     * @param {string} name - The name of the icon.
+     * @returns {string} The markup, or an empty string for unknown icons.
+     */
+    getIcon(name) {
+        return this.options.icons[name] ?? DEFAULT_ICONS[name] ?? '';
+    }
+
+    /**
+     * Fills the icon placeholders (`[data-icon]`) of an element with their markup.
+     * @private
+     * @param {Element} root - The element.
+     */
+    renderIcons(root) {
+        root.querySelectorAll("[data-icon]").forEach((placeholder) => {
+            placeholder.innerHTML = this.getIcon(placeholder.dataset.icon);
+        });
+    }
+
+    /**
+     * Arranges the control bar as configured in `options.controls`. Every control gets a `data-control`
+     * attribute with its name, as a stable hook for stylesheets.
+     * @private
+     * @throws {TypeError} If a custom button is invalid or has the name of a built-in control.
+     */
+    layoutControls() {
+        const { left, right, buttons } = this.options.controls;
+        const controls = new Map(Object.entries(BUILTIN_CONTROLS).map(([name, selector]) => (
+            [name, this.controls.querySelector(selector)]
+        )));
+        Object.entries(buttons).forEach(([name, button]) => {
+            if (controls.has(name)) {
+                throw new TypeError(`The custom control "${name}" has the name of a built-in control.`);
+            }
+            controls.set(name, this.createCustomControl(name, button));
+        });
+
+        // Controls that aren't placed stay detached rather than being removed, so that the code updating them keeps working.
+        controls.forEach((element, name) => {
+            element.dataset.control = name;
+            element.remove();
+        });
+        const placed = new Set();
+        [[this.controlsLeft, left], [this.controlsRight, right]].forEach(([group, names]) => {
+            names.forEach((name) => {
+                if (!controls.has(name) || placed.has(name)) {
+                    this.log(`Ignoring the ${placed.has(name) ? 'duplicate' : 'unknown'} control "${name}".`, 'warn');
+                    return;
+                }
+                placed.add(name);
+                group.appendChild(controls.get(name));
+            });
+        });
+    }
+
+    /**
+     * Creates the button of a custom control.
+     * @private
+     * @param {string} name - The name of the control.
+     * @param {{icon: string, label: string, onClick: Function}} definition - The definition from `options.controls.buttons`.
+     * @returns {HTMLButtonElement} The button.
+     * @throws {TypeError} If the definition has no `onClick` function or no label.
+     */
+    createCustomControl(name, { icon = '', label, onClick } = {}) {
+        if (typeof onClick !== 'function') {
+            throw new TypeError(`The custom control "${name}" needs an onClick function.`);
+        }
+        if (typeof label !== 'string' || !label) {
+            throw new TypeError(`The custom control "${name}" needs a label.`);
+        }
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "control-button custom-control";
+        button.title = label;
+        button.setAttribute("aria-label", label);
+        const iconElement = document.createElement("span");
+        iconElement.className = "player-icon";
+        iconElement.setAttribute("aria-hidden", "true");
+        // An icon name refers to the icon set, anything else is markup.
+        iconElement.innerHTML = icon in DEFAULT_ICONS || icon in this.options.icons ? this.getIcon(icon) : icon;
+        button.appendChild(iconElement);
+        this.listen(button, "click", (e) => {
+            e.stopPropagation();
+            try {
+                onClick(this, e);
+            } catch (error) {
+                this.log(`The custom control "${name}" threw an error: ${error.message}`, 'error', error);
+            }
+        });
+        return button;
+    }
+
     /** Updates all UI components to reflect the current state. @private */
     updateAllUI() {
+        if (this.options.headless) return;
         this.updatePlayPauseUI();
         this.updateVolumeUI();
     }
 
-    /** Toggles between play and pause states. @private */
-    togglePlay() {
-        this.video.paused
-            ? this.video
-                .play()
-                .catch((e) => this.log(`Play error: ${e.message}`, "error"))
-            : this.video.pause();
+    /** Toggles between play and pause states. @private */
+    togglePlay() {
+        this.video.paused
+            ? this.video
+                .play()
+                .catch((e) => this.log(`Play error: ${e.message}`, "error"))
+            : this.video.pause();
+    }
+
+    /**
+     * Starts or resumes playback, as if the viewer pressed play. Counts as an interaction with the player,
+     * so that later setups no longer force the video to be muted for autoplay.
+     * @returns {Promise<void>} Resolves once playback has started. Rejects if the browser prevents it,
+     * e.g. unmuted playback outside of a user gesture.
+     */
+    play() {
+        this.userInteracted = true;
+        return this.video.play().catch((e) => {
+            this.log(`Play error: ${e.message}`, "error");
+            throw e;
+        });
+    }
+
+    /**
+     * Pauses playback. The stream keeps its connection, and `goLive()` catches up with the live edge afterwards.
+     * @returns {LivePlayer} The player instance, for chaining.
+     */
+    pause() {
+        this.video.pause();
+        return this;
+    }
+
+    /**
+     * Mutes or unmutes the video. Unmuting counts as an interaction with the player, see `play()`.
+     * @param {boolean} [muted=true] - Whether to mute.
+     * @returns {LivePlayer} The player instance, for chaining.
+     */
+    mute(muted = true) {
+        if (!muted) this.userInteracted = true;
+        this.video.muted = Boolean(muted);
+        return this;
+    }
+
+    /**
+     * Sets the volume, like the volume slider: 0 mutes the video and any other volume unmutes it.
+     * @param {number} volume - The volume, from 0 to 1.
+     * @returns {LivePlayer} The player instance, for chaining.
+     * @throws {RangeError} If the volume is not a number from 0 to 1.
+     */
+    setVolume(volume) {
+        if (typeof volume !== "number" || !(volume >= 0 && volume <= 1)) {
+            throw new RangeError(`The volume must be a number from 0 to 1, got ${volume}.`);
+        }
+        this.userInteracted = true;
+        this.video.volume = volume;
+        this.video.muted = volume === 0;
+        return this;
+    }
+
+    /**
+     * Jumps to the live edge, e.g. after the viewer paused. Lands at `liveEdge.targetLatency` behind the most recently
+     * buffered position, where playback doesn't stall right away, and resumes playback if it was paused.
+     * @returns {boolean} `true` if the player jumped, `false` if nothing is buffered yet.
+     */
+    goLive() {
+        const { buffered } = this.video;
+        if (buffered.length === 0) {
+            this.log('Cannot go live: nothing is buffered yet.', 'debug');
+            return false;
+        }
+        const target = buffered.end(buffered.length - 1) - this.options.liveEdge.targetLatency;
+        if (target > this.video.currentTime) this.video.currentTime = target;
+        if (this.video.paused) this.play().catch(() => {});
+        return true;
+    }
+
+    /** Updates the play and pause button icon. @private */
+    updatePlayPauseUI() {
+        const isPaused = this.video.paused;
+        this.playerContainer.classList.toggle("paused", isPaused);
+        if (this.playPauseBtn) {
+            this.playPauseBtn.setAttribute("aria-label", this.t(isPaused ? "controls.play" : "controls.pause"));
+            this.playPauseBtn.querySelector('[data-icon="play"]').style.display = isPaused
+                ? "inline-flex"
+                : "none";
+            this.playPauseBtn.querySelector('[data-icon="pause"]').style.display =
+                isPaused ? "none" : "inline-flex";
+        }
+    }
+
+    /** Updates the volume slider and mute button icon. @private */
+    updateVolumeUI() {
+        if (!this.volumeSlider) return;
+        const isMuted = this.video.muted || this.video.volume === 0;
+        this.volumeSlider.value = isMuted ? 0 : this.video.volume;
+        this.volumeSlider.setAttribute("aria-valuetext", isMuted ? this.t("volume.muted") : `${Math.round(this.video.volume * 100)}%`);
+        this.muteBtn.setAttribute("aria-pressed", String(isMuted));
+        this.muteBtn.querySelector('[data-icon="volume"]').style.display = isMuted
+            ? "none"
+            : "inline-flex";
+        this.muteBtn.querySelector('[data-icon="volumeMuted"]').style.display = isMuted
+            ? "inline-flex"
+            : "none";
+        this.unmuteNotice.classList.toggle(
+            "visible",
+            !this.userInteracted && isMuted
+        );
+        this.volumeContainer.classList.toggle("muted", isMuted);
+    }
+
+    /**
+     * Highlights the line that owns the given URL in the switch menu.
+     * The URL can be the primary or the fallback URL of a line.
+     * @private
+     */
+    updateActiveLineUI(url) {
+        if (this.lineSwitchMenu) {
+            const previous = this.lineSwitchMenu.querySelector(".active");
+            previous?.classList.remove("active");
+            previous?.setAttribute("aria-checked", "false");
+            const line = this.streamUrlList.find(l => l.url === url || l.fallback === url);
+            const item = this.lineSwitchMenu.querySelector(
+                `li[data-url="${line ? line.url : url}"]`
+            );
+            if (item) {
+                item.classList.add("active");
+                item.setAttribute("aria-checked", "true");
+            }
+        }
+    }
+
+    /**
+     * Builds a readable label for a quality, e.g. "720p". The bitrate is added if several
+     * qualities share the same resolution, and used on its own for audio-only or unknown resolutions.
+     * @private
+     * @param {{height: number, bitrate: number}} level - The quality.
+     * @param {Array<{height: number, bitrate: number}>} levels - All qualities of the stream.
+     * @returns {string} The label.
+     */
+    getQualityLabel(level, levels) {
+        const kbps = `${Math.round(level.bitrate / 1000)} kbps`;
+        if (!level.height) return kbps;
+        const isAmbiguous = levels.some(other => other !== level && other.height === level.height);
+        return isAmbiguous ? `${level.height}p (${kbps})` : `${level.height}p`;
+    }
+
+    /**
+     * Rebuilds the quality menu. It is only shown if there is more than one quality to choose from.
+     * @private
+     */
+    updateQualityUI() {
+        if (!this.qualitySwitchMenu) return;
+        const { auto, current, levels } = this.getQualities();
+        this.qualitySwitchContainer.style.display = levels.length > 1 ? "" : "none";
+        this.qualitySwitchMenu.innerHTML = "";
+        if (levels.length <= 1) return;
+
+        const currentLevel = levels.find(level => level.index === current);
+        const items = [
+            // Show what automatic selection is currently playing, without the bitrate detail.
+            {
+                index: -1,
+                label: currentLevel
+                    ? this.t("quality.autoPlaying", { quality: currentLevel.height ? `${currentLevel.height}p` : currentLevel.label })
+                    : this.t("quality.auto"),
+                active: auto,
+            },
+            // Highest quality first
+            ...[...levels].sort((a, b) => b.bitrate - a.bitrate).map(level => ({
+                index: level.index,
+                label: level.label,
+                active: !auto && level.index === current,
+            })),
+        ];
+        items.forEach(({ index, label, active }) => {
+            const li = document.createElement("li");
+            li.textContent = label;
+            li.setAttribute("role", "menuitemradio");
+            li.setAttribute("aria-checked", String(active));
+            li.tabIndex = -1;
+            li.dataset.index = index;
+            if (active) li.classList.add("active");
+            this.qualitySwitchMenu.appendChild(li);
+        });
+    }
+
+    /**
+     * Opens the player's context menu at the given viewport position, kept inside the player.
+     * @private
+     * @param {number} clientX - The horizontal position of the pointer.
+     * @param {number} clientY - The vertical position of the pointer.
+     */
+    showContextMenu(clientX, clientY) {
+        const rect = this.playerContainer.getBoundingClientRect();
+        const left = Math.min(clientX - rect.left, rect.width - this.contextMenu.offsetWidth);
+        const top = Math.min(clientY - rect.top, rect.height - this.contextMenu.offsetHeight);
+        this.contextMenu.style.left = `${Math.max(left, 0)}px`;
+        this.contextMenu.style.top = `${Math.max(top, 0)}px`;
+        // Focus the first item, so that a menu opened with the context menu key or Shift+F10 can be used right away.
+        this.openMenu(this.contextMenu, { focus: true });
+    }
+
+    /**
+     * Opens a popup menu and closes the others.
+     * @private
+     * @param {HTMLElement} menu - The menu.
+     * @param {object} [options={}]
+     * @param {boolean} [options.focus=false] - Whether to focus the checked (or first) item, when the menu was opened with the keyboard.
+     */
+    openMenu(menu, { focus = false } = {}) {
+        this.menuButtons.forEach((button, other) => {
+            if (other !== menu) this.closeMenu(other);
+        });
+        menu.classList.add("visible");
+        this.menuButtons.get(menu)?.setAttribute("aria-expanded", "true");
+        if (focus) {
+            const item = menu.querySelector('[aria-checked="true"]') || menu.querySelector("li");
+            if (item) item.focus();
+        }
+    }
+
+    /**
+     * Closes a popup menu. If the focus was inside the menu, it goes back to the menu's button, or to the player.
+     * @private
+     * @param {HTMLElement} menu - The menu.
+     */
+    closeMenu(menu) {
+        if (!menu.classList.contains("visible")) return;
+        const hadFocus = menu.contains(document.activeElement);
+        menu.classList.remove("visible");
+        const button = this.menuButtons.get(menu);
+        if (button) button.setAttribute("aria-expanded", "false");
+        if (hadFocus) (button || this.playerContainer).focus();
+    }
+
+    /**
+     * Opens a popup menu, or closes it if it is open.
+     * @private
+     * @param {HTMLElement} menu - The menu.
+     * @param {object} [options={}] - See `openMenu()`.
+     */
+    toggleMenu(menu, options = {}) {
+        if (menu.classList.contains("visible")) {
+            this.closeMenu(menu);
+        } else {
+            this.openMenu(menu, options);
+        }
+    }
+
+    /**
+     * Lets the keyboard navigate a popup menu: the arrow keys, Home and End move the focus,
+     * Enter and Space select the focused item, and Escape and Tab close the menu.
+     * @private
+     * @param {KeyboardEvent} e - The keyboard event.
+     * @param {HTMLElement} menu - The menu.
+     */
+    handleMenuKeydown(e, menu) {
+        const items = Array.from(menu.querySelectorAll("li"));
+        const index = items.indexOf(document.activeElement);
+        const focusItem = (i) => {
+            if (items.length > 0) items[(i + items.length) % items.length].focus();
+        };
+        switch (e.key) {
+            case "ArrowDown":
+                focusItem(index + 1);
+                break;
+            case "ArrowUp":
+                focusItem(index - 1);
+                break;
+            case "Home":
+                focusItem(0);
+                break;
+            case "End":
+                focusItem(items.length - 1);
+                break;
+            case "Enter":
+            case " ":
+                if (index >= 0) items[index].click();
+                break;
+            case "Escape":
+                this.closeMenu(menu);
+                break;
+            case "Tab":
+                // Let the focus move on, but don't leave the menu open behind it.
+                menu.classList.remove("visible");
+                this.menuButtons.get(menu)?.setAttribute("aria-expanded", "false");
+                return;
+            default:
+                return;
+        }
+        // Keep the keys from reaching the player's hotkeys.
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Runs the action bound to the pressed key in `options.hotkeys`. Keys that the focused element
+     * uses itself, like Space on a button or the arrow keys on the volume slider, are left to it.
+     * @private
+     * @param {KeyboardEvent} e - The keyboard event.
+     */
+    handleHotkey(e) {
+        // Any key shows the controls, so that Tab can reach them.
+        this.showControls();
+        const { hotkeys } = this.options;
+        if (!hotkeys.enabled || e.defaultPrevented) return;
+
+        const { target } = e;
+        if (target.closest('textarea, select, input:not([type="range"]), [contenteditable="true"]')) return;
+        if ((e.key === " " || e.key === "Enter") && target.closest('button, [role="button"], [role^="menuitem"]')) return;
+        if (e.key.startsWith("Arrow") && target.closest('input[type="range"]')) return;
+
+        const action = HOTKEY_ACTIONS.find(name => (hotkeys[name] || []).some(hotkey => matchesHotkey(e, hotkey)));
+        if (!action || (action === "stats" && !this.options.statsOverlay)) return;
+        e.preventDefault();
+
+        switch (action) {
+            case "playPause":
+                this.togglePlay();
+                break;
+            case "mute":
+                this.video.muted = !this.video.muted;
+                this.announce(this.t(this.video.muted ? "volume.muted" : "volume.unmuted"));
+                break;
+            case "fullscreen":
+                this.toggleFullscreen();
+                break;
+            case "volumeUp":
+            case "volumeDown": {
+                const current = this.video.muted ? 0 : this.video.volume;
+                const volume = Math.round(Math.min(Math.max(current + (action === "volumeUp" ? VOLUME_STEP : -VOLUME_STEP), 0), 1) * 100) / 100;
+                this.video.volume = volume;
+                this.video.muted = volume === 0;
+                this.announce(this.t("volume.level", { percent: Math.round(volume * 100) }));
+                break;
+            }
+            case "refresh":
+                this.refresh();
+                break;
+            case "lines":
+                this.toggleMenu(this.lineSwitchMenu, { focus: true });
+                break;
+            case "stats":
+                this.toggleStats();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Announces a message to screen readers through the player's live region.
+     * @private
+     * @param {string} message - The message.
+     */
+    announce(message) {
+        if (!this.liveRegion) return;
+        // Clear the region first, so that a repeated message is announced again.
+        this.liveRegion.textContent = "";
+        this.setTimer(() => {
+            if (this.liveRegion) this.liveRegion.textContent = message;
+        }, 100);
     }
 
-    /** Updates the play and pause button icon. @private */
-    updatePlayPauseUI() {
-        const isPaused = this.video.paused;
-        this.playerContainer.classList.toggle("paused", isPaused);
-        if (this.playPauseBtn) {
-            this.playPauseBtn.querySelector(".fa-play").style.display = isPaused
-                ? "block"
-                : "none";
-            this.playPauseBtn.querySelector(".fa-pause").style.display =
-                isPaused ? "none" : "block";
+    /**
+     * Reloads the current stream, as a manual refresh by the viewer. Starts the player if no stream is loaded.
+     */
+    refresh() {
+        if (!this.currentUrl) {
+            this.start();
+            return;
         }
+        // A manual refresh should reset any previous recovery attempts.
+        this.recoveryAttempts = 0;
+        this.setupPlayer(this.currentUrl, "refresh");
     }
 
-    /** Updates the volume slider and mute button icon. @private */
-    updateVolumeUI() {
-        if (!this.volumeSlider) return;
-        const isMuted = this.video.muted || this.video.volume === 0;
-        this.volumeSlider.value = isMuted ? 0 : this.video.volume;
-        this.muteBtn.querySelector(".fa-volume-up").style.display = isMuted
-            ? "none"
-            : "inline";
-        this.muteBtn.querySelector(".fa-volume-mute").style.display = isMuted
-            ? "inline"
-            : "none";
-        this.unmuteNotice.classList.toggle(
-            "visible",
-            !this.userInteracted && isMuted
-        );
-        this.volumeContainer.classList.toggle("muted", isMuted);
+    /**
+     * Returns the distance between the playhead and the live edge in seconds. Engines that know
+     * the stream's timing report it themselves, otherwise it is the buffered time ahead of the playhead.
+     * @private
+     * @returns {number | null} The latency, or null if nothing is buffered.
+     */
+    getLiveLatency() {
+        const engineLatency = this.engine && this.engine.getLatency ? this.engine.getLatency(this.engineHandle) : null;
+        if (Number.isFinite(engineLatency)) return engineLatency;
+        const { buffered, currentTime } = this.video;
+        return buffered.length > 0 ? Math.max(buffered.end(buffered.length - 1) - currentTime, 0) : null;
     }
 
-    /** Highlights the currently active line in the switch menu. @private */
-    updateActiveLineUI(url) {
-        if (this.lineSwitchMenu) {
-            this.lineSwitchMenu
-                .querySelector(".active")
-                ?.classList.remove("active");
-            const item = this.lineSwitchMenu.querySelector(
-                `li[data-url="${url}"]`
-            );
-            if (item) item.classList.add("active");
+    /**
+     * Collects the rows of the stats overlay.
+     * @private
+     * @returns {Array<[string, string]>} The label and the value of each row.
+     */
+    getStatsRows() {
+        const stats = this.getStats();
+        const { buffered, currentTime } = this.video;
+        const bufferLength = buffered.length > 0 ? Math.max(buffered.end(buffered.length - 1) - currentTime, 0) : null;
+        const latency = this.getLiveLatency();
+        const line = this.streamUrlList.find(l => l.url === this.currentUrl || l.fallback === this.currentUrl);
+        const seconds = value => (value === null ? "-" : `${value.toFixed(2)} s`);
+
+        let poller = this.t("stats.pollerInactive");
+        if (this.state === LivePlayer.States.POLLING && this.nextOfflinePollAt !== null) {
+            const dueIn = Math.max(Math.ceil((this.nextOfflinePollAt - Date.now()) / 1000), 0);
+            poller = this.t("stats.pollerNext", { count: this.offlinePollCount, seconds: dueIn });
         }
+        let lineLabel = "-";
+        if (line) lineLabel = this.currentUrl === line.fallback ? this.t("stats.lineFallback", { line: line.name }) : line.name;
+
+        // The values are technical and stay untranslated, so that support staff can read any screenshot.
+        return [
+            [this.t("stats.player"), `v${LivePlayer.VERSION} (${this.id})`],
+            [this.t("stats.state"), this.state],
+            [this.t("stats.engine"), this.currentPlayerType || "-"],
+            [this.t("stats.line"), lineLabel],
+            [this.t("stats.url"), this.currentUrl || "-"],
+            [this.t("stats.resolution"), stats.width ? `${stats.width}x${stats.height}` : "-"],
+            [this.t("stats.bitrate"), stats.bitrate ? `${Math.round(stats.bitrate / 1000)} kbps` : "-"],
+            [this.t("stats.buffer"), seconds(bufferLength)],
+            [this.t("stats.latency"), seconds(latency)],
+            [this.t("stats.droppedFrames"), `${stats.droppedFrames} / ${stats.totalFrames}`],
+            [this.t("stats.recoveryAttempts"), `${this.recoveryAttempts} / ${this.getRecoveryPolicy().maxAttempts}`],
+            [this.t("stats.offlinePoller"), poller],
+        ];
     }
 
-    /** Switches to a new stream line. @private */
-    switchLine(targetLi) {
-        const newUrl = targetLi.dataset.url;
-        // Compare with userSelectedUrl to prevent re-setup on the same intended line.
-        if (!newUrl || (newUrl === this.userSelectedUrl && !this.isLoading)) {
-            this.lineSwitchMenu.classList.remove("visible");
-            return;
+    /**
+     * Refreshes the stats overlay. The rows are only built once and their text is only
+     * replaced when it changes, so that it can be selected and copied while the values update.
+     * @private
+     */
+    updateStatsUI() {
+        const rows = this.getStatsRows();
+        if (this.statsList.children.length !== rows.length * 2) {
+            this.statsList.innerHTML = "";
+            rows.forEach(() => this.statsList.append(document.createElement("dt"), document.createElement("dd")));
         }
-        this.lineSwitchMenu.classList.remove("visible");
+        rows.flat().forEach((text, index) => {
+            const cell = this.statsList.children[index];
+            if (cell.textContent !== text) cell.textContent = text;
+        });
+    }
+
+    /**
+     * Refreshes the quality menu and emits `qualitychange` if the quality playing or the selection mode changed.
+     * @private
+     */
+    handleQualityChange() {
+        this.updateQualityUI();
+        const { auto, current, levels } = this.getQualities();
+        if (this.activeQuality && this.activeQuality.index === current && this.activeQuality.auto === auto) return;
+        this.activeQuality = { index: current, auto };
+        this.emit(LivePlayer.Events.QUALITY_CHANGE, {
+            index: current,
+            auto,
+            level: levels.find(level => level.index === current) || null,
+        });
+    }
+
+    /**
+     * Switches to a new stream line.
+     * @private
+     * @param {{name: string, url: string}} line - The line, from `streamUrlList`.
+     */
+    switchLine(line) {
+        if (this.lineSwitchMenu) this.closeMenu(this.lineSwitchMenu);
+        // Compare with userSelectedUrl to prevent re-setup on the same intended line, unless it is not playing at all.
+        const isReloadable = [LivePlayer.States.LOADING, LivePlayer.States.IDLE].includes(this.state);
+        if (!line || (line.url === this.userSelectedUrl && !isReloadable)) return;
         // Switching line is a user-initiated action and should reset recovery attempts.
         this.recoveryAttempts = 0;
+        const previousUrl = this.userSelectedUrl;
         // When switching line, we are setting a new user-selected URL.
-        this.setupPlayer(newUrl, `manual switch to ${targetLi.textContent}`);
+        this.setupPlayer(line.url, `manual switch to ${line.name}`);
+        this.emit(LivePlayer.Events.LINE_SWITCHED, { name: line.name, url: line.url, previousUrl });
     }
 
-    /** Starts the periodic check for stream latency. @private */
+    /**
+     * Starts the latency controller. It samples the latency (the buffered time ahead of the playhead)
+     * every `liveEdge.interval` and nudges the playback rate within the configured bounds until the
+     * latency converges on `liveEdge.targetLatency`. Only a latency beyond `liveEdge.latency` is
+     * corrected with a seek, which would cause a visible jump.
+     * @private
+     */
     startLatencyMonitor() {
-        if (this.latencyChecker) clearInterval(this.latencyChecker);
+        this.stopLatencyMonitor();
         if (!this.options.liveEdge.enabled) {
             this.log('Live edge seeking is disabled by configuration.', 'info');
             return;
         }
-        const { interval, maxLatency } = this.options.liveEdge;
-
-        this.latencyChecker = setInterval(() => {
-            if (!this.video.paused && !document.hidden) {
-                const bufferedEnd =
-                    this.video.buffered.length > 0
-                        ? this.video.buffered.end(
-                            this.video.buffered.length - 1
-                        )
-                        : 0;
-                if (bufferedEnd > 0) {
-                    const latency = bufferedEnd - this.video.currentTime;
-                    if (latency > maxLatency) this.seekToLiveEdge();
-                }
+        const { interval, targetLatency, minPlaybackRate, maxPlaybackRate, hysteresis, latency: maxLatency } = this.options.liveEdge;
+        let isCorrecting = false;
+
+        this.latencyChecker = this.setRepeatingTimer(() => {
+            if (this.video.paused || document.hidden || this.state !== LivePlayer.States.PLAYING || this.video.buffered.length === 0) {
+                isCorrecting = false;
+                this.setPlaybackRate(1);
+                return;
+            }
+
+            const bufferedEnd = this.video.buffered.end(this.video.buffered.length - 1);
+            const latency = bufferedEnd - this.video.currentTime;
+            if (latency > maxLatency) {
+                isCorrecting = false;
+                this.setPlaybackRate(1);
+                this.seekToLiveEdge();
+                return;
+            }
+
+            // Start correcting outside the tolerated band, and only stop well inside it,
+            // so that the rate doesn't flip back and forth around the edge of the band.
+            const deviation = latency - targetLatency;
+            if (Math.abs(deviation) > hysteresis) {
+                isCorrecting = true;
+            } else if (Math.abs(deviation) <= hysteresis / 2) {
+                isCorrecting = false;
             }
+
+            const rate = isCorrecting
+                ? Math.min(Math.max(1 + deviation * LATENCY_RATE_GAIN, minPlaybackRate), maxPlaybackRate)
+                : 1;
+            this.setPlaybackRate(rate);
         }, interval);
     }
 
-    /** Seeks the video to the most recently buffered position. @private */
+    /**
+     * Stops the latency controller and restores the normal playback rate, if the controller changed it.
+     * @private
+     */
+    stopLatencyMonitor() {
+        if (this.latencyChecker) {
+            this.clearTimer(this.latencyChecker);
+            this.latencyChecker = null;
+        }
+        this.setPlaybackRate(1);
+    }
+
+    /**
+     * Sets the playback rate of the video, ignoring changes too small to matter. A rate of 1 is only restored
+     * if the latency controller changed it, so that e.g. the live catch-up of dash.js is left alone.
+     * @private
+     * @param {number} rate - The playback rate.
+     */
+    setPlaybackRate(rate) {
+        const rounded = Math.round(rate * 100) / 100;
+        if (!this.video || (rounded === 1 && !this.isPlaybackRateAdjusted)) return;
+        this.isPlaybackRateAdjusted = rounded !== 1;
+        if (this.video.playbackRate === rounded) return;
+        this.log(`Latency controller: playback rate ${rounded}.`, 'debug');
+        this.video.playbackRate = rounded;
+    }
+
+    /** Seeks the video to the target latency behind the most recently buffered position. @private */
     seekToLiveEdge() {
 
         // Ensure video is playing with buffered data, otherwise can't calculate latency
         if (this.video.paused || this.video.buffered.length === 0) {
             this.log('Video is not in a state to check latency (paused or no buffer).', 'debug');
+            return;
         }
 
         // calculate latency
         const bufferedEnd = this.video.buffered.end(this.video.buffered.length - 1);
         const latency = bufferedEnd - this.video.currentTime;
+        const { latency: maxLatency, targetLatency } = this.options.liveEdge;
 
-        if (latency > this.options.liveEdge.latency) {
-            this.log(`Latency (${latency.toFixed(2)}s) is greater than ${this.options.liveEdge.latency}s. Seeking to live edge.`, 'info');
-            if (this.video.buffered.length > 0) {
-                // Show loading animation before seeking
-                this.log('Seeking to live edge, showing loading overlay.', 'info');
-                if (this.loadingOverlay) {
-                    // Reuse existing loading animation
-                    this.loadingOverlay.style.display = 'flex';
-                }
-                const liveEdge = this.video.buffered.end(
-                    this.video.buffered.length - 1
-                );
-                // Perform seeking operation, 'seeked' event will hide loading animation when complete
-                this.video.currentTime = liveEdge - 0.1;
-            } else {
-                this.log('Cannot seek to live edge, no buffer available.', 'warn');
+        if (latency > maxLatency) {
+            this.log(`Latency (${latency.toFixed(2)}s) is greater than ${maxLatency}s. Seeking to live edge.`, 'info');
+            // Show loading animation before seeking
+            if (this.loadingOverlay) {
+                // Reuse existing loading animation
+                this.loadingOverlay.style.display = 'flex';
             }
+            // Land at the target latency rather than at the very edge, where playback would stall right away.
+            // Perform seeking operation, 'seeked' event will hide loading animation when complete
+            this.video.currentTime = Math.max(bufferedEnd - targetLatency, this.video.currentTime);
         } else {
             this.log(`Latency (${latency.toFixed(2)}s) is acceptable. No seek needed.`, 'info');
         }
@@ -861,6 +3149,10 @@ export default class LivePlayer {
         } else {
             // When page becomes visible again...
             this.log('Tab is visible again.', 'info');
+            if (this.suspended) {
+                this.log('Player is suspended by its group, not resuming.', 'debug');
+                return;
+            }
 
             // 1. Check if video was accidentally paused
             if (this.video.paused && this.userInteracted) {
@@ -870,7 +3162,7 @@ export default class LivePlayer {
 
             // 2. Check latency since background playback may cause accumulation
             // Delay the check slightly to give player time to recover
-            setTimeout(() => {
+            this.setTimer(() => {
                 this.log('Checking latency after returning from background...', 'info');
                 this.seekToLiveEdge();
             }, 1000); // 1 second
@@ -879,16 +3171,53 @@ export default class LivePlayer {
 
     /** Toggles Picture-in-Picture mode. @private */
     togglePip() {
-        document.pictureInPictureElement
-            ? document.exitPictureInPicture()
-            : this.video.requestPictureInPicture();
+        (document.pictureInPictureElement ? this.exitPip() : this.enterPip())
+            .catch(e => this.log(`Picture-in-Picture error: ${e.message}`, "warn"));
     }
 
     /** Toggles fullscreen mode. @private */
     toggleFullscreen() {
-        document.fullscreenElement
-            ? document.exitFullscreen()
-            : this.playerContainer.requestFullscreen();
+        (document.fullscreenElement ? this.exitFullscreen() : this.enterFullscreen())
+            .catch(e => this.log(`Fullscreen error: ${e.message}`, "warn"));
+    }
+
+    /**
+     * Shows the player in fullscreen.
+     * @param {Element} [element] - The element to show in fullscreen. Defaults to the player, or in headless mode
+     * to the video element. Pass the element that wraps the video and your controls to keep the controls visible.
+     * @returns {Promise<void>} Resolves once fullscreen has been entered. Rejects if the browser refuses,
+     * e.g. outside of a user gesture.
+     */
+    enterFullscreen(element = this.playerContainer || this.video) {
+        return element.requestFullscreen();
+    }
+
+    /**
+     * Leaves fullscreen.
+     * @returns {Promise<void>} Resolves once fullscreen has been left, right away if nothing is in fullscreen.
+     */
+    exitFullscreen() {
+        return document.fullscreenElement ? document.exitFullscreen() : Promise.resolve();
+    }
+
+    /**
+     * Plays the video in a Picture-in-Picture window.
+     * @returns {Promise<void>} Resolves once the window is open. Rejects if the browser doesn't support
+     * Picture-in-Picture or refuses, e.g. outside of a user gesture.
+     */
+    enterPip() {
+        if (!document.pictureInPictureEnabled) {
+            return Promise.reject(new Error("Picture-in-Picture is not supported in this browser."));
+        }
+        return this.video.requestPictureInPicture().then(() => undefined);
+    }
+
+    /**
+     * Closes the Picture-in-Picture window of the video.
+     * @returns {Promise<void>} Resolves once the window is closed, right away if it isn't open.
+     */
+    exitPip() {
+        return document.pictureInPictureElement === this.video ? document.exitPictureInPicture() : Promise.resolve();
     }
 
     /** Updates UI based on fullscreen state. @private */
@@ -897,230 +3226,300 @@ export default class LivePlayer {
             "fullscreen",
             !!document.fullscreenElement
         );
+        this.fullscreenBtn.setAttribute("aria-pressed", String(!!document.fullscreenElement));
     }
 
     /** Shows the player controls and sets a timeout to hide them. @private */
     showControls() {
         if (this.controls) this.controls.classList.add("visible");
-        clearTimeout(this.controlsTimeout);
-        this.controlsTimeout = setTimeout(() => {
+        this.clearTimer(this.controlsTimeout);
+        this.controlsTimeout = this.setTimer(() => {
             if (!this.video.paused) this.controls.classList.remove("visible");
         }, 3000);
     }
 
     /** Hides the controls immediately when the mouse leaves the player. @private */
     hideControlsOnLeave() {
-        clearTimeout(this.controlsTimeout);
+        this.clearTimer(this.controlsTimeout);
         if (!this.video.paused && this.controls)
             this.controls.classList.remove("visible");
     }
 
     /**
+     * Returns the recovery policy for the active engine, with the per-engine
+     * overrides from `options.recovery.flv` / `.hls` / `.dash` etc. applied.
      * @private
-     * Normalizes an M3U8 playlist content by removing query strings from .ts segment URLs.
-     * This is crucial for comparing playlists when server-side caches might alter query params
-     * without changing the actual underlying (stale) TS file.
-     * @param {string | null} m3u8Content The raw M3U8 content.
-     * @returns {string | null} The normalized M3U8 content or null if input was null.
+     * @returns {{maxAttempts: number, baseDelay: number, multiplier: number, maxDelay: number, jitter: number}}
      */
-    normalizeM3u8Content(m3u8Content) {
-        if (!m3u8Content) {
-            return null;
-        }
-        // This regex finds all lines ending in '.ts?....' and replaces them with just '.ts'
-        // 'g' flag for global replace, 'm' flag for multiline mode (so '$' matches end of line)
-        return m3u8Content.replace(/\.ts\?.*$/gm, '.ts');
+    getRecoveryPolicy() {
+        const { offlinePoll, ...settings } = this.options.recovery;
+        // Nested objects are the per-engine overrides, everything else is the shared policy.
+        const policy = Object.fromEntries(Object.entries(settings).filter(([, value]) => typeof value !== 'object' || value === null));
+        const overrides = settings[this.currentPlayerType];
+        return { ...policy, ...(typeof overrides === 'object' && overrides) };
+    }
+
+    /**
+     * Computes an exponential backoff delay with random jitter.
+     * @private
+     * @param {number} attempt - The 1-based number of the attempt the delay precedes.
+     * @param {{baseDelay: number, multiplier: number, maxDelay: number, jitter: number}} schedule - The backoff parameters.
+     * @returns {number} The delay in milliseconds.
+     */
+    computeBackoffDelay(attempt, { baseDelay, multiplier, maxDelay, jitter }) {
+        const exponential = Math.min(baseDelay * (multiplier ** Math.max(attempt - 1, 0)), maxDelay);
+        // Spread the delay evenly over [1 - jitter, 1 + jitter] of its nominal value.
+        const spread = Math.min(Math.max(jitter, 0), 1);
+        const factor = 1 - spread + Math.random() * 2 * spread;
+        return Math.round(exponential * factor);
     }
 
     /**
      * Handles the "stream offline" scenario. It initiates a silent polling
      * mechanism using fetch() that does not interfere with the UI until the
      * stream is confirmed to be back online.
-     * Implements the "intelligent polling" strategy.
-     * It now fetches the actual media playlist and compares its content against
-     * the last known stale content before deciding if the stream is truly back online.
+     * Polls are scheduled with the backoff defined in `options.recovery.offlinePoll`,
+     * so a long outage is checked less and less often.
      * @private
      */
     handleOfflineState() {
-        if (this.offlinePoller) {
-            clearInterval(this.offlinePoller);
+        this.clearTimer(this.offlinePoller);
+        this.offlinePollCount = 0;
+        this.transitionTo(LivePlayer.States.POLLING, 'offline-poll-start');
+        // The poller keeps running as a backstop, in case the push channel drops.
+        this.openStatusChannel();
+
+        const { interval, multiplier, maxInterval, jitter } = this.options.recovery.offlinePoll;
+        const scheduleNextPoll = () => {
+            this.offlinePollCount++;
+            const delay = this.computeBackoffDelay(this.offlinePollCount, {
+                baseDelay: interval,
+                multiplier,
+                maxDelay: maxInterval,
+                jitter,
+            });
+            this.log(`Next offline poll (#${this.offlinePollCount}) in ${delay}ms.`, 'debug');
+            this.nextOfflinePollAt = Date.now() + delay;
+
+            const timerId = this.setTimer(async () => {
+                await this.pollOfflineStream();
+                // Only continue this chain if no newer poller has replaced it and the stream is still offline.
+                if (this.offlinePoller === timerId && this.state === LivePlayer.States.POLLING) {
+                    scheduleNextPoll();
+                }
+            }, delay);
+            this.offlinePoller = timerId;
+        };
+        scheduleNextPoll();
+    }
+
+    /**
+     * Performs a single offline poll of the user-selected stream and restarts playback if it is back.
+     * Engines with a `pollOffline` hook implement the "intelligent polling" strategy: they compare
+     * the stream against the stale content of the last failed investigation before deciding
+     * if the stream is truly back online. Other streams are checked with a HEAD request.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async pollOfflineStream() {
+        const masterUrl = this.userSelectedUrl;
+        if (!masterUrl) {
+            this.log('Could not find user-selected URL to poll, stopping poller.', 'error');
+            this.clearOfflineState();
+            this.transitionTo(LivePlayer.States.IDLE, 'offline-poll-no-url');
+            return;
         }
 
-        this.offlinePoller = setInterval(async () => {
-            const masterUrl = this.userSelectedUrl;
-            if (!masterUrl) {
-                this.log('Could not find user-selected URL to poll, stopping poller.', 'error');
-                this.clearOfflineState();
-                return;
+        // The status provider knows better than the stream checks, unless it can't be reached.
+        const status = this.options.statusProvider ? await this.fetchStreamStatus() : null;
+        // The player may have been destroyed while waiting for the response.
+        if (this.isDestroyed) return;
+        if (status) {
+            if (status.live) {
+                this.handleStreamOnline(status);
+            } else {
+                this.log('Poll check: the status provider reports the stream as offline.', 'debug');
+                this.applyStatusSchedule(status);
             }
+            return;
+        }
 
-            // This intelligent logic is for HLS only.
-            if (!masterUrl.endsWith('.m3u8')) {
-                // For FLV, just do a simple HEAD request.
-                this.log(`Polling for user-selected FLV stream silently: ${masterUrl}`, 'debug');
-                try {
-                    const response = await fetch(masterUrl, { method: 'HEAD', cache: 'no-cache' });
-                    if (response.ok) {
-                        this.log('Stream is back online! Re-initializing player.', 'info');
-                        this.clearOfflineState();
-                        this.setupPlayer(masterUrl, 'offline-poll-success');
-                    }
-                } catch (error) { /* Do nothing on network error */ }
-                return;
+        this.log(`Polling for user-selected stream silently: ${masterUrl}`, 'debug');
+        const checkStream = async () => {
+            // A failure of resolveUrl is treated like an unreachable stream, so the next poll tries again.
+            const requestUrl = await this.resolveRequestUrl(masterUrl, 'poll');
+            if (requestUrl === null || this.isDestroyed) return false;
+            return this.isStreamOnline(masterUrl, this.lastKnownStaleContent, requestUrl);
+        };
+        const coordinator = this.offlinePollCoordinator;
+        // A shared result is only reused for less than the shortest delay between two polls, so never for the next poll of the same player.
+        const { interval, jitter } = this.options.recovery.offlinePoll;
+        const isOnline = coordinator
+            ? await coordinator.check(masterUrl, this.lastKnownStaleContent, checkStream, interval * (1 - jitter))
+            : await checkStream();
+        if (isOnline && !this.isDestroyed) this.handleStreamOnline();
+    }
+
+    /**
+     * Restarts playback of the user-selected stream once the offline poller or the status channel found it live again.
+     * @private
+     * @param {{live: boolean} | null} [status=null] - The status reported by the status provider or channel, if any.
+     */
+    handleStreamOnline(status = null) {
+        // Another poll or a push message may have been faster.
+        if (this.state !== LivePlayer.States.POLLING) return;
+        const masterUrl = this.userSelectedUrl;
+        this.log('Stream is back online! Re-initializing player.', 'info');
+        this.clearOfflineState();
+        this.lastKnownStaleContent = null; // Clear the cache
+        this.emit(LivePlayer.Events.ONLINE, { url: masterUrl, status });
+        this.announce(this.t("announce.online"));
+        this.resumingFromOffline = true;
+        this.setupPlayer(masterUrl, 'offline-poll-success');
+    }
+
+    /**
+     * Takes the scheduled start from a status that reports the stream as offline, if it has one.
+     * @private
+     * @param {{live: boolean, nextStart?: (string|number|null)}} status - The status.
+     */
+    applyStatusSchedule(status) {
+        if (!('nextStart' in status)) return;
+        this.scheduledStart = this.parseScheduledStart(status.nextStart);
+        if (this.offlineCountdown) this.updateCountdown();
+    }
+
+    /**
+     * Asks `options.statusProvider` whether the broadcast of the selected line is live.
+     * @private
+     * @returns {Promise<{live: boolean, nextStart?: (string|number|null)} | null>} The status, or null if the provider failed,
+     * so that the stream checks decide.
+     */
+    async fetchStreamStatus() {
+        const { statusProvider } = this.options;
+        const line = this.getSelectedLine();
+        try {
+            let status;
+            if (typeof statusProvider === 'function') {
+                status = await statusProvider(line && { ...line });
+            } else {
+                const response = await this.request(statusProvider, { cache: 'no-cache', headers: { Accept: 'application/json' } });
+                if (!response.ok) throw new Error(`HTTP Status ${response.status}`);
+                status = await response.json();
             }
+            if (!status || typeof status.live !== 'boolean') {
+                throw new TypeError('The status must be an object with a boolean "live" property.');
+            }
+            return status;
+        } catch (error) {
+            this.log(`Status provider failed: ${error.message}. Falling back to stream checks.`, 'warn', error);
+            return null;
+        }
+    }
 
-            this.log(`Intelligently polling HLS stream: ${masterUrl}`, 'debug');
+    /**
+     * Connects to `options.statusPush`, if configured. A `{ "live": true }` message reconnects right away,
+     * while a `{ "live": false }` message can update the scheduled start.
+     * URLs with the `ws:` or `wss:` scheme are opened as a WebSocket, any other as a Server-Sent Events stream.
+     * @private
+     */
+    openStatusChannel() {
+        const url = this.options.statusPush;
+        if (!url || this.statusChannel) return;
 
+        const handleMessage = (data) => {
+            let status;
             try {
-                // Step 1: Fetch the master playlist to get the current media playlist URL.
-                const masterResponse = await fetch(masterUrl, { cache: 'no-cache' });
-                if (!masterResponse.ok) return;
-                const masterContent = await masterResponse.text();
-
-                // A very basic parser to find the first non-comment line (the media playlist URI)
-                const mediaPlaylistUri = masterContent.split('\n').find(line => line.trim() && !line.startsWith('#'));
-                if (!mediaPlaylistUri) return;
-
-                // Handle both relative and absolute URIs in the master playlist
-                const mediaPlaylistUrl = new URL(mediaPlaylistUri, masterUrl).href;
-
-                // Step 2: Fetch the actual media playlist.
-                const mediaResponse = await fetch(mediaPlaylistUrl, { cache: 'no-cache' });
-                if (!mediaResponse.ok) return;
-                const mediaContent = await mediaResponse.text();
-
-                // Normalize content before comparison
-                const normalizedMediaContent = this.normalizeM3u8Content(mediaContent);
-                const normalizedStaleContent = this.normalizeM3u8Content(this.lastKnownStaleContent);
-
-                // Enhanced debug logging to show both raw and normalized versions
-                this.log('--- M3U8 Comparison Debug ---', 'debug');
-                this.log('Stored (stale) RAW m3u8:', 'debug', { content: this.lastKnownStaleContent });
-                this.log('Fetched (current) RAW m3u8:', 'debug', { content: mediaContent });
-                this.log('Stored (stale) NORMALIZED m3u8:', 'debug', { content: normalizedStaleContent });
-                this.log('Fetched (current) NORMALIZED m3u8:', 'debug', { content: normalizedMediaContent });
-                this.log('--- End Comparison Debug ---', 'debug');
-
-                // Step 3: Compare its content with the last known stale content.
-                // The comparison now uses the normalized (parameter-free) content
-                if (this.lastKnownStaleContent && normalizedMediaContent === normalizedStaleContent) {
-                    // It's still the same old, dead playlist. Do nothing and wait.
-                    this.log('Poll check: HLS media playlist is still stale.', 'debug');
-                } else {
-                    // It's different! This means the stream is genuinely new or has been revived.
-                    this.log('Stream is back online! HLS media playlist has changed.', 'info');
-                    this.clearOfflineState();
-                    this.lastKnownStaleContent = null; // Clear the cache
-                    // Show loading animation and setup the player.
-                    this.loadingOverlay.style.display = 'flex';
-                    this.offlineOverlay.style.display = 'none';
-                    this.setupPlayer(masterUrl, 'offline-poll-success');
-                }
+                status = JSON.parse(data);
             } catch (error) {
-                this.log(`Poll check: Network error during intelligent poll. ${error.message}`, 'warn');
+                this.log('Ignoring a status message that is not JSON.', 'warn', { data });
+                return;
+            }
+            if (!status || typeof status.live !== 'boolean') return;
+            if (!status.live) {
+                this.applyStatusSchedule(status);
+                return;
             }
-        }, this.offlinePollInterval);
+            this.log('Status channel reports the stream as live.', 'info');
+            this.handleStreamOnline(status);
+        };
+
+        try {
+            this.statusChannel = /^wss?:/i.test(url)
+                ? new WebSocket(url)
+                : new EventSource(url, { withCredentials: this.options.network.withCredentials });
+            this.statusChannel.addEventListener('message', event => handleMessage(event.data));
+            this.log(`Status channel opened: ${url}`, 'debug');
+        } catch (error) {
+            this.log(`Status channel could not be opened: ${error.message}`, 'warn', error);
+            this.statusChannel = null;
+        }
+    }
+
+    /**
+     * Closes the connection to `options.statusPush`, if open.
+     * @private
+     */
+    closeStatusChannel() {
+        if (!this.statusChannel) return;
+        this.statusChannel.close();
+        this.statusChannel = null;
     }
 
     /**
-     * Clears any "stream offline" state, hiding the overlay and stopping the poller.
+     * Stops the offline poller. The offline overlay is hidden by the state
+     * transition that follows, e.g. to `loading` in `setupPlayer`.
      * This is called at the beginning of every `setupPlayer` call.
      * @private
      */
     clearOfflineState() {
-        if (this.offlinePoller) {
-            clearInterval(this.offlinePoller);
-            this.offlinePoller = null;
-        }
-        if (this.offlineOverlay) {
-            this.offlineOverlay.style.display = 'none';
-        }
+        this.clearTimer(this.offlinePoller);
+        this.offlinePoller = null;
+        this.nextOfflinePollAt = null;
+        this.closeStatusChannel();
     }
 
     /**
      * @private
-     * Initiates a check to see if the HLS manifest (m3u8) is still being updated.
-     * This is the most reliable way to differentiate a network stall from a true "stream ended" event.
-     * It programmatically checks for a stale manifest multiple times without relying on
-     * a full player reconnect loop. This is the definitive solution to the "ghost-play" loop.
+     * Runs the active engine's `investigateFailure` after a stall, to differentiate a network
+     * stall from a true "stream ended" event without relying on a full player reconnect loop.
+     * The investigation is cancelled by leaving the `investigating` state.
      */
-    async investigateHlsFailure() {
-        this.log('Severe HLS error detected. Initiating failure investigation sequence.', 'warn');
+    async investigateFailure() {
+        const { engine, engineHandle, currentPlayerType: name } = this;
+        this.log(`${name} playback stalled. Initiating failure investigation sequence.`, 'warn');
+        // destroy() leaves the investigating state as well.
+        const isCancelled = () => this.state !== LivePlayer.States.INVESTIGATING || this.engineHandle !== engineHandle;
 
         try {
-            if (!this.hlsPlayer || !this.hlsPlayer.levels || this.hlsPlayer.currentLevel < 0) {
-                throw new Error('HLS player or its active level is not ready.');
+            const { healthy, staleContent } = await engine.investigateFailure(engineHandle, this.getEngineContext(name, { isCancelled }));
+            if (isCancelled()) {
+                this.log(`${name} investigation was cancelled externally.`, 'info');
+                return;
             }
 
-            const mediaPlaylistUrl = this.hlsPlayer.levels[this.hlsPlayer.currentLevel].url;
-            const MAX_CHECKS = 3;
-            const CHECK_INTERVAL = 1500;
-            let lastFetchedRawContent = ''; // Store the raw content of the playlist for the final cache
-
-            for (let i = 1; i <= MAX_CHECKS; i++) {
-                if (!this.isObservingStall) {
-                    this.log('HLS investigation was cancelled externally.', 'info');
-                    return; // Investigation cancelled
-                }
-
-                try {
-                    const response = await fetch(mediaPlaylistUrl, { cache: 'no-cache' });
-                    if (!response.ok) throw new Error(`HTTP Status ${response.status}`);
-                    const currentFetchedRawContent = await response.text();
-
-                    // On the second check and onwards, compare the new playlist with the last one
-                    if (i > 1) {
-                        // --- FIX: Compare NORMALIZED content to defeat caching issues ---
-                        const lastNormalized = this.normalizeM3u8Content(lastFetchedRawContent);
-                        const currentNormalized = this.normalizeM3u8Content(currentFetchedRawContent);
-
-                        if (currentNormalized !== lastNormalized) {
-                            // SUCCESS: The playlist content has actually changed. The stream is alive.
-                            this.log(`HLS media playlist updated on check ${i}/${MAX_CHECKS}. Stream is healthy.`, 'info');
-                            this.recoveryAttempts = 0; // Reset main error counter
-                            return; // Exit the investigation successfully
-                        }
-                    }
-
-                    // For the next loop, the "current" content becomes the "last" content
-                    lastFetchedRawContent = currentFetchedRawContent;
-                    this.log(`HLS investigation check ${i}/${MAX_CHECKS}: Playlist is stale.`, 'debug');
-
-                } catch (error) {
-                    this.log(`Network error during HLS investigation check ${i}/${MAX_CHECKS}: ${error.message}.`, 'warn');
-                }
-
-                if (i < MAX_CHECKS) await new Promise(resolve => setTimeout(resolve, CHECK_INTERVAL));
+            if (healthy) {
+                this.recoveryAttempts = 0; // Reset main error counter
+                // "playing" events were ignored during the investigation, so derive the state from the video.
+                const isRendering = !this.video.paused && this.video.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA;
+                this.transitionTo(isRendering ? LivePlayer.States.PLAYING : LivePlayer.States.STALLED, `${name}-investigation-healthy`);
+                return;
             }
 
-            // FAILURE: All checks completed, and the normalized playlist never changed.
-            this.log(`HLS stream failed ${MAX_CHECKS} consecutive checks. Declaring stream offline.`, 'error');
-            // Cache the raw content of the stale playlist we last fetched.
-            this.lastKnownStaleContent = lastFetchedRawContent;
-            this.recoveryAttempts = this.maxRecoveryAttempts; // Set to max to trigger offline declaration
-            this.handleStreamError('hls-investigation-failed');
-
+            this.log(`${name} investigation failed. Declaring stream offline.`, 'error');
+            // Remember the stale content so that the poller doesn't mistake it for a revived stream.
+            this.lastKnownStaleContent = staleContent ?? null;
+            this.recoveryAttempts = this.getRecoveryPolicy().maxAttempts; // Set to max to trigger offline declaration
+            this.handleStreamError(`${name}-investigation-failed`);
         } catch (error) {
             // Catch errors from the initial setup (e.g., player not ready)
-            this.log(`HLS investigation could not start: ${error.message}`, 'error');
-            this.handleStreamError('hls-investigation-setup-failed');
+            this.log(`${name} investigation could not start: ${error.message}`, 'error');
+            if (!isCancelled()) this.handleStreamError(`${name}-investigation-setup-failed`);
         } finally {
-            // CRUCIAL: ALWAYS release the lock when the investigation is over.
-            this.log('HLS investigation finished. Releasing lock.', 'debug');
-            this.isObservingStall = false;
-        }
-    }
-
-    /**
-     * @private
-     * Resets all states related to the stall observation process.
-     */
-    resetStallObservation() {
-        if (this.stallObserverTimer) {
-            clearTimeout(this.stallObserverTimer);
-            this.stallObserverTimer = null;
+            // Every exit path above has already moved the state machine out of `investigating`,
+            // which is what releases the lock.
+            this.log(`${name} investigation finished.`, 'debug');
         }
-        this.isObservingStall = false;
     }
 
     /**
@@ -1130,45 +3529,212 @@ export default class LivePlayer {
      * @param {string} reason - A short string indicating the error reason for logging.
      */
     handleStreamError(reason) {
+        // An engine can report several fatal errors for one failure. They all count as one attempt.
+        if (this.reconnectTimer !== null) {
+            this.log(`Ignoring stream error (${reason}): a reconnect is already pending.`, 'debug');
+            return;
+        }
         this.recoveryAttempts++;
         this.log(`Recoverable stream error detected (${reason}). Attempt: ${this.recoveryAttempts}`, 'warn');
 
-        // Always reset stall observation state after a confirmed check
-        this.resetStallObservation();
-
-        if (this.recoveryAttempts >= this.maxRecoveryAttempts) {
+        const policy = this.getRecoveryPolicy();
+        if (this.recoveryAttempts >= policy.maxAttempts) {
+            if (this.options.failover.enabled) {
+                this.log(`Recovery threshold reached for ${reason}. Failing over.`, 'warn');
+                this.failOver(reason);
+                return;
+            }
             this.log(`Recovery threshold reached for ${reason}. Declaring stream offline.`, 'error');
             this.declareStreamOffline();
         } else {
-            this.log(`Attempting a quick reconnect...`, 'info');
-            // Use a reason suffix to distinguish from user-initiated actions in logs
-            setTimeout(() => this.setupPlayer(this.currentUrl, `${reason}-recovery`), 1500);
+            this.scheduleReconnect(reason);
         }
     }
 
     /**
      * @private
-     * A unified method to perform all actions when a stream is confirmed to be offline.
+     * Schedules a reconnect to the current source, with the backoff of the current recovery attempt.
+     * @param {string} reason - A short string indicating the error reason for logging.
+     */
+    scheduleReconnect(reason) {
+        const policy = this.getRecoveryPolicy();
+        if (!this.transitionTo(LivePlayer.States.RECOVERING, reason)) return;
+        const delay = this.computeBackoffDelay(this.recoveryAttempts, policy);
+        this.log(`Attempting a reconnect in ${delay}ms...`, 'info');
+        this.emit(LivePlayer.Events.RECOVERING, {
+            url: this.currentUrl,
+            reason,
+            attempt: this.recoveryAttempts,
+            maxAttempts: policy.maxAttempts,
+            delay,
+        });
+        // Use a reason suffix to distinguish from user-initiated actions in logs
+        this.clearTimer(this.reconnectTimer);
+        this.reconnectTimer = this.setTimer(() => {
+            this.reconnectTimer = null;
+            // A line switch, refresh or destroy() in the meantime has already left this state.
+            if (this.state !== LivePlayer.States.RECOVERING) return;
+            this.setupPlayer(this.currentUrl, `${reason}-recovery`);
+        }, delay);
+    }
+
+    /**
+     * @private
+     * Switches playback to the next source that has not been tried since failover started:
+     * first the fallback of the selected line, then the other lines in the order of `streamUrls`.
+     * Declares the stream offline once every source has been tried.
+     * @param {string} reason - A short string indicating why the current source failed.
+     */
+    failOver(reason) {
+        if (!this.failoverSession) {
+            this.failoverSession = { triedUrls: new Set([this.userSelectedUrl, this.currentUrl]) };
+        }
+        const { triedUrls } = this.failoverSession;
+
+        const selectedLine = this.streamUrlList.find(line => line.url === this.userSelectedUrl);
+        const orderedLines = selectedLine
+            ? [selectedLine, ...this.streamUrlList.filter(line => line !== selectedLine)]
+            : this.streamUrlList;
+        const candidates = orderedLines.flatMap(line => [
+            { line, url: line.url },
+            { line, url: line.fallback },
+        ]);
+        const next = candidates.find(candidate => candidate.url && !triedUrls.has(candidate.url));
+
+        if (!next) {
+            this.log(`Failover exhausted after ${reason}: all ${triedUrls.size} sources failed. Declaring stream offline.`, 'error');
+            // The poller watches the selected line, so show it as the active one again.
+            this.updateActiveLineUI(this.userSelectedUrl);
+            this.declareStreamOffline();
+            return;
+        }
+
+        triedUrls.add(next.url);
+        this.log(`Failing over to line "${next.line.name}": ${next.url} (${reason}).`, 'warn');
+        this.emit(LivePlayer.Events.FALLBACK_USED, {
+            name: next.line.name,
+            url: this.userSelectedUrl,
+            fallbackUrl: next.url,
+            reason: 'failover',
+        });
+        // Every source gets its own full set of recovery attempts.
+        this.recoveryAttempts = 0;
+        // The '-recovery' suffix keeps the user's selection, which is what we poll and fail back to.
+        this.setupPlayer(next.url, 'failover-recovery');
+    }
+
+    /**
+     * @private
+     * Periodically checks whether the selected line is reachable again while playing a
+     * failover source, and switches back to it if `options.failover.failBack` is enabled.
+     */
+    startFailBackChecker() {
+        if (!this.options.failover.failBack || this.failBackChecker) return;
+
+        const selectedUrl = this.userSelectedUrl;
+        this.log(`Playing a failover source. Checking ${selectedUrl} every ${this.options.failover.failBackInterval}ms to fail back.`, 'info');
+        this.failBackChecker = this.setRepeatingTimer(async () => {
+            if (this.state !== LivePlayer.States.PLAYING || this.userSelectedUrl !== selectedUrl) return;
+            const requestUrl = await this.resolveRequestUrl(selectedUrl, 'poll');
+            if (requestUrl === null || this.isDestroyed) return;
+            if (await this.isStreamOnline(selectedUrl, null, requestUrl) && !this.isDestroyed) {
+                this.log(`Selected line is reachable again. Failing back to ${selectedUrl}.`, 'info');
+                this.recoveryAttempts = 0;
+                this.setupPlayer(selectedUrl, 'failback');
+            }
+        }, this.options.failover.failBackInterval);
+    }
+
+    /**
+     * @private
+     * Stops the fail-back checker, if it is running.
+     */
+    stopFailBackChecker() {
+        if (this.failBackChecker) {
+            this.clearTimer(this.failBackChecker);
+            this.failBackChecker = null;
+        }
+    }
+
+    /**
+     * @private
+     * Checks whether a stream is live, using the `pollOffline` hook of the engine that would play it,
+     * or a HEAD request if that engine has none.
+     * @param {string} url - The stream URL to check.
+     * @param {string | null} [staleContent=null] - The stale content of the last failed investigation.
+     * @param {string} [requestUrl=url] - The URL to request, see `resolveRequestUrl()`.
+     * @returns {Promise<boolean>} `true` if the stream is live.
+     */
+    async isStreamOnline(url, staleContent = null, requestUrl = url) {
+        let type;
+        try {
+            type = await this.resolveStreamType(url, requestUrl);
+        } catch (error) {
+            return false; // A failed probe request means the stream is not reachable.
+        }
+        const engine = this.findEngine(url, type);
+        if (engine && engine.adapter.pollOffline) {
+            try {
+                return await engine.adapter.pollOffline(requestUrl, this.getEngineContext(engine.name, { staleContent }));
+            } catch (error) {
+                // A failing hook must not end the poller, so the stream just counts as not back yet.
+                this.log(`The pollOffline hook of the ${engine.name} engine failed: ${error.message}`, 'warn', error);
+                return false;
+            }
+        }
+        return this.isStreamReachable(requestUrl);
+    }
+
+    /**
+     * @private
+     * Checks with a lightweight request whether a stream URL currently responds successfully.
+     * A HEAD request is used, since a GET on e.g. an FLV stream would start downloading it.
+     * @param {string} url - The stream URL to check.
+     * @returns {Promise<boolean>} `true` if the server answered with a 2xx status.
      */
-    declareStreamOffline() {
-        // Step 1: Stop any active player instances without destroying the component.
-        if (this.flvPlayer) {
-            this.flvPlayer.unload();
-            this.flvPlayer.detachMediaElement();
+    async isStreamReachable(url) {
+        try {
+            const response = await this.request(url, { method: 'HEAD', cache: 'no-cache' });
+            return response.ok;
+        } catch (error) {
+            return false; // Do nothing on network error
         }
-        if (this.hlsPlayer) {
-            this.video.src = '';
-            this.video.removeAttribute('src');
-            this.hlsPlayer.stopLoad();
+    }
+
+    /**
+     * @private
+     * A unified method to perform all actions when a stream is confirmed to be offline.
+     * With a status provider, the stream is only declared offline if the provider doesn't report it as live.
+     * @returns {Promise<void>}
+     */
+    async declareStreamOffline() {
+        // The status provider can tell a failing connection from an ended broadcast. While the broadcast
+        // is live, the player keeps reconnecting instead.
+        if (this.options.statusProvider) {
+            const { state, setupCounter } = this;
+            const status = await this.fetchStreamStatus();
+            // A line switch, refresh or destroy() in the meantime has taken over.
+            if (this.state !== state || this.setupCounter !== setupCounter) return;
+            if (status && !status.live) this.applyStatusSchedule(status);
+            if (status && status.live) {
+                this.log('The status provider reports the stream as live. Reconnecting instead of declaring it offline.', 'warn');
+                // The counter stays at the threshold, so that the next failure asks the provider again.
+                this.scheduleReconnect('status-live');
+                return;
+            }
         }
 
-        // Step 2: Update the UI to show the offline state.
+        this.stopFailBackChecker();
+        // Step 1: Stop the active engine without destroying the component.
+        this.stopEngine();
+
+        // Step 2: Move to the offline state, which shows the offline overlay.
         // Because we didn't destroy(), the elements are still here to be shown.
-        if (this.loadingOverlay) this.loadingOverlay.style.display = 'none';
-        if (this.offlineOverlay) this.offlineOverlay.style.display = 'flex';
+        if (!this.transitionTo(LivePlayer.States.OFFLINE, 'recovery-exhausted')) return;
 
         // Step 3: Reset the recovery counter so that a manual refresh starts cleanly.
         this.recoveryAttempts = 0;
+        this.emit(LivePlayer.Events.OFFLINE, { url: this.userSelectedUrl, reason: 'recovery-exhausted' });
 
         // Step 4: Start the background polling to detect when the stream comes back online.
         this.handleOfflineState();
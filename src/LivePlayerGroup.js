@@ -0,0 +1,356 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file LivePlayerGroup.js
+ * @description Shows several players side by side in a grid, with a single audio focus, reduced playback
+ * of the tiles that are scrolled out of view and shared offline polling.
+ */
+
+import LivePlayer from './LivePlayer.js';
+
+/**
+ * What to do with the tiles that are scrolled out of view, see `options.offscreen`.
+ * @type {ReadonlyArray<string>}
+ */
+const OFFSCREEN_MODES = Object.freeze(['pause', 'lowerQuality', 'none']);
+
+/**
+ * Lays out players in a grid and coordinates them: only the focused tile has audio, tiles out of view
+ * are paused or switched to their lowest quality, and players whose streams are offline at the same URL
+ * share their polls. Every tile is an independent `LivePlayer`, created with the group's `playerOptions`
+ * and its own options, and destroyed with `remove()` or `destroy()`.
+ */
+export default class LivePlayerGroup {
+    /**
+     * Creates an empty group in a container element. Add the players with `add()`.
+     * @param {HTMLElement} element - The container of the grid.
+     * @param {object} [options={}] - The options of the group.
+     * @param {number | 'auto'} [options.columns='auto'] The number of columns. 'auto' picks the smallest square grid that fits the tiles.
+     * @param {('pause'|'lowerQuality'|'none')} [options.offscreen='pause'] What to do with tiles out of view: pause them and catch up
+     * with the live edge once they are back, or switch to their lowest quality, which pauses streams without selectable qualities.
+     * @param {boolean} [options.sharedPolling=true] Whether players polling the same URL while offline share their checks,
+     * and all come back as soon as one of them finds the stream live.
+     * @param {object} [options.playerOptions={}] The options of every player, merged shallowly with the options passed to `add()`.
+     * @throws {Error} If no container element is provided.
+     * @throws {TypeError} If `columns` or `offscreen` is invalid.
+     */
+    constructor(element, options = {}) {
+        if (!element) throw new Error("A container element must be provided.");
+        this.options = {
+            columns: 'auto',
+            offscreen: 'pause',
+            sharedPolling: true,
+            playerOptions: {},
+            ...options,
+        };
+        const { columns, offscreen } = this.options;
+        if (columns !== 'auto' && !(Number.isInteger(columns) && columns > 0)) {
+            throw new TypeError(`columns must be 'auto' or a positive integer, got ${columns}.`);
+        }
+        if (!OFFSCREEN_MODES.includes(offscreen)) {
+            throw new TypeError(`offscreen must be one of ${OFFSCREEN_MODES.join(', ')}, got ${offscreen}.`);
+        }
+
+        /** @type {HTMLElement} The container of the grid. */
+        this.container = element;
+        this.container.classList.add("live-player-group");
+        /**
+         * @private
+         * @type {Map<string, {element: HTMLElement, player: LivePlayer, isSetUp: boolean, listeners: AbortController,
+         * isOffscreen: boolean, pausedOffscreen: boolean, savedQuality: {auto: boolean, current: number} | null}>}
+         * The tiles, keyed by ID, in the order they were added.
+         */
+        this.tiles = new Map();
+        /** @private @type {string | null} The ID of the tile with audio. */
+        this.focusedId = null;
+        /** @private @type {string | null} The ID of the tile in the spotlight. */
+        this.spotlightId = null;
+        /**
+         * @private
+         * @type {Map<string, {checkedAt: number, result: Promise<boolean>}>} The latest offline check of each URL and
+         * stale content, see `checkOffline()`.
+         */
+        this.offlineChecks = new Map();
+        /** @private @type {{check: Function}} Passed to the players as their `offlinePollCoordinator`. */
+        this.pollCoordinator = {
+            check: (url, staleContent, runCheck, maxAge) => this.checkOffline(url, staleContent, runCheck, maxAge),
+        };
+        /** @private @type {IntersectionObserver | null} Watches which tiles are in view, where supported. */
+        this.observer = offscreen !== 'none' && typeof IntersectionObserver !== 'undefined'
+            ? new IntersectionObserver(entries => this.handleIntersections(entries))
+            : null;
+        /** @private @type {boolean} */
+        this.destroyed = false;
+    }
+
+    /**
+     * The IDs of the tiles, in the order they were added.
+     * @type {string[]}
+     */
+    get ids() {
+        return Array.from(this.tiles.keys());
+    }
+
+    /**
+     * The ID of the tile with audio, or null if all tiles are muted.
+     * @type {string | null}
+     */
+    get focused() {
+        return this.focusedId;
+    }
+
+    /**
+     * Adds a tile with a new player to the end of the grid and starts it.
+     * @param {string} id - The ID of the tile, unique within the group.
+     * @param {object} options - The options of the player, e.g. its `streamUrls`.
+     * @returns {LivePlayer} The player.
+     * @throws {Error} If the ID is already in use or the group has been destroyed.
+     */
+    add(id, options) {
+        if (this.destroyed) throw new Error("The group has been destroyed.");
+        if (this.tiles.has(id)) throw new Error(`A tile with the ID "${id}" already exists.`);
+
+        const element = document.createElement("div");
+        element.className = "live-player-group-tile";
+        element.dataset.tileId = id;
+        this.container.appendChild(element);
+
+        const player = new LivePlayer(element, { ...this.options.playerOptions, ...options });
+        if (this.options.sharedPolling) player.offlinePollCoordinator = this.pollCoordinator;
+        const tile = {
+            element,
+            player,
+            // A player that failed to set up, e.g. because of invalid streamUrls, has no video and only shows the error.
+            isSetUp: Boolean(player.video && player.streamUrlList),
+            listeners: new AbortController(),
+            isOffscreen: false,
+            pausedOffscreen: false,
+            savedQuality: null,
+        };
+        this.tiles.set(id, tile);
+
+        const { signal } = tile.listeners;
+        // Clicking a tile gives it the audio, and so does unmuting it with its own controls.
+        element.addEventListener("click", () => {
+            if (this.focusedId !== id) this.focus(id);
+        }, { signal });
+        if (tile.isSetUp) {
+            player.video.addEventListener("volumechange", () => {
+                if (!player.video.muted && this.focusedId !== id) this.focus(id);
+            }, { signal });
+        }
+        // A new setup, e.g. a recovery, starts playing again, so the tile needs to be paused or lowered again.
+        player.on(LivePlayer.Events.PLAYING, () => {
+            if (tile.isOffscreen) this.applyOffscreen(tile);
+        });
+        player.on(LivePlayer.Events.ONLINE, ({ url }) => this.wakeOfflinePlayers(url, player));
+
+        if (this.focusedId !== null && tile.isSetUp) player.mute(true);
+        if (this.observer && tile.isSetUp) this.observer.observe(element);
+        this.updateLayout();
+        if (tile.isSetUp) player.start();
+        return player;
+    }
+
+    /**
+     * Destroys the player of a tile and removes the tile. Does nothing for unknown IDs.
+     * @param {string} id - The ID of the tile.
+     * @returns {LivePlayerGroup} The group, for chaining.
+     */
+    remove(id) {
+        const tile = this.tiles.get(id);
+        if (!tile) return this;
+        tile.listeners.abort();
+        if (this.observer) this.observer.unobserve(tile.element);
+        tile.player.destroy();
+        tile.element.remove();
+        this.tiles.delete(id);
+        if (this.focusedId === id) this.focusedId = null;
+        if (this.spotlightId === id) this.spotlight(null);
+        this.updateLayout();
+        return this;
+    }
+
+    /**
+     * Returns the player of a tile.
+     * @param {string} id - The ID of the tile.
+     * @returns {LivePlayer | null} The player, or null for unknown IDs.
+     */
+    get(id) {
+        const tile = this.tiles.get(id);
+        return tile ? tile.player : null;
+    }
+
+    /**
+     * Gives a tile the audio focus: its player is unmuted and all others are muted.
+     * @param {string} id - The ID of the tile.
+     * @returns {LivePlayerGroup} The group, for chaining.
+     * @throws {Error} If there is no tile with the ID.
+     */
+    focus(id) {
+        const tile = this.getTile(id);
+        this.focusedId = id;
+        this.tiles.forEach((other, otherId) => {
+            other.element.classList.toggle("focused", otherId === id);
+            if (otherId !== id && other.isSetUp && !other.player.video.muted) other.player.mute(true);
+        });
+        if (tile.isSetUp && tile.player.video.muted) tile.player.mute(false);
+        return this;
+    }
+
+    /**
+     * Shows a tile in the spotlight, spanning the whole width above the other tiles, and gives it the audio focus.
+     * @param {string | null} id - The ID of the tile, or null to return to the plain grid.
+     * @returns {LivePlayerGroup} The group, for chaining.
+     * @throws {Error} If there is no tile with the ID.
+     */
+    spotlight(id) {
+        if (id !== null) this.getTile(id);
+        this.spotlightId = id;
+        this.container.classList.toggle("has-spotlight", id !== null);
+        this.tiles.forEach((tile, tileId) => tile.element.classList.toggle("spotlight", tileId === id));
+        if (id !== null) this.focus(id);
+        return this;
+    }
+
+    /**
+     * Destroys all players and empties the container. Calling it again has no effect.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.ids.forEach(id => this.remove(id));
+        if (this.observer) this.observer.disconnect();
+        this.offlineChecks.clear();
+        this.container.classList.remove("live-player-group", "has-spotlight");
+        this.container.style.gridTemplateColumns = "";
+        this.destroyed = true;
+    }
+
+    /**
+     * Returns a tile.
+     * @private
+     * @param {string} id - The ID of the tile.
+     * @returns {object} The tile.
+     * @throws {Error} If there is no tile with the ID.
+     */
+    getTile(id) {
+        const tile = this.tiles.get(id);
+        if (!tile) throw new Error(`There is no tile with the ID "${id}".`);
+        return tile;
+    }
+
+    /**
+     * Sets the number of columns of the grid.
+     * @private
+     */
+    updateLayout() {
+        const { columns } = this.options;
+        const count = columns === 'auto' ? Math.max(1, Math.ceil(Math.sqrt(this.tiles.size))) : columns;
+        this.container.style.gridTemplateColumns = `repeat(${count}, minmax(0, 1fr))`;
+    }
+
+    /**
+     * Reduces or restores the playback of the tiles that left or entered the view.
+     * @private
+     * @param {IntersectionObserverEntry[]} entries - The changes.
+     */
+    handleIntersections(entries) {
+        entries.forEach((entry) => {
+            const tile = this.tiles.get(entry.target.dataset.tileId);
+            if (!tile || tile.isOffscreen === !entry.isIntersecting) return;
+            tile.isOffscreen = !entry.isIntersecting;
+            if (tile.isOffscreen) {
+                this.applyOffscreen(tile);
+            } else {
+                this.restoreOnscreen(tile);
+            }
+        });
+    }
+
+    /**
+     * Switches a tile out of view to its lowest quality, or pauses it.
+     * @private
+     * @param {object} tile - The tile.
+     */
+    applyOffscreen(tile) {
+        const { player } = tile;
+        if (this.options.offscreen === 'lowerQuality') {
+            const { selectable, auto, current, levels } = player.getQualities();
+            if (selectable) {
+                const lowest = levels.reduce((a, b) => ((b.bitrate || b.height) < (a.bitrate || a.height) ? b : a));
+                if (!tile.savedQuality) tile.savedQuality = { auto, current };
+                player.setQuality(lowest.index);
+                return;
+            }
+        }
+        if (!player.video.paused) {
+            player.pause();
+            tile.pausedOffscreen = true;
+            player.suspended = true;
+        }
+    }
+
+    /**
+     * Restores the quality of a tile that is back in view, or resumes it at the live edge.
+     * @private
+     * @param {object} tile - The tile.
+     */
+    restoreOnscreen(tile) {
+        const { player } = tile;
+        if (tile.savedQuality) {
+            const { auto, current } = tile.savedQuality;
+            tile.savedQuality = null;
+            player.setQuality(auto ? -1 : current);
+        }
+        if (tile.pausedOffscreen) {
+            tile.pausedOffscreen = false;
+            player.suspended = false;
+            // Nothing may be buffered yet, e.g. if the stream was set up again while the tile was out of view.
+            if (!player.goLive()) player.play().catch(() => {});
+        }
+    }
+
+    /**
+     * Runs the offline stream check of a player, unless another player has checked the same URL recently
+     * or is checking it right now, in which case its result is used. Only players that compare the stream
+     * against the same stale content share a result, since the content decides whether it counts as live.
+     * @private
+     * @param {string} url - The URL of the selected line of the player.
+     * @param {string | null} staleContent - The stale content the player compares the stream against.
+     * @param {function(): Promise<boolean>} runCheck - Checks whether the stream is live.
+     * @param {number} maxAge - How old in milliseconds a result may be to be used.
+     * @returns {Promise<boolean>} Whether the stream is live.
+     */
+    checkOffline(url, staleContent, runCheck, maxAge) {
+        const key = JSON.stringify([url, staleContent]);
+        const latest = this.offlineChecks.get(key);
+        if (latest && Date.now() - latest.checkedAt < maxAge) return latest.result;
+        // Drop the results that are too old to be used, so that streams that were checked once don't pile up
+        this.offlineChecks.forEach((previous, previousKey) => {
+            if (Date.now() - previous.checkedAt >= maxAge) this.offlineChecks.delete(previousKey);
+        });
+        const check = { checkedAt: Date.now(), result: runCheck().catch(() => false) };
+        this.offlineChecks.set(key, check);
+        return check.result;
+    }
+
+    /**
+     * Lets the other players waiting for the same stream poll right away once one of them found it live,
+     * so that they reuse its check and come back together.
+     * @private
+     * @param {string} url - The URL of the stream that is back.
+     * @param {LivePlayer} onlinePlayer - The player that found it.
+     */
+    wakeOfflinePlayers(url, onlinePlayer) {
+        if (!this.options.sharedPolling) return;
+        this.tiles.forEach(({ player }) => {
+            if (player === onlinePlayer || player.userSelectedUrl !== url || player.state !== LivePlayer.States.POLLING) return;
+            player.pollOfflineStream().catch((error) => {
+                player.log(`Polling after another tile found the stream live failed: ${error.message}`, 'warn');
+            });
+        });
+    }
+}
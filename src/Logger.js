@@ -0,0 +1,228 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file Logger.js
+ * @description Structured logging for LivePlayer: log records, console output, a bounded history, sinks and export.
+ */
+
+/**
+ * The log levels by increasing severity. As a threshold, `silent` turns the output off.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const LOG_LEVELS = Object.freeze({
+    debug: 0,
+    info: 1,
+    warn: 2,
+    error: 3,
+    silent: 4,
+});
+
+/**
+ * Earlier names of thresholds, still accepted by the `logLevel` option.
+ * @type {Readonly<Record<string, string>>}
+ */
+const LEVEL_ALIASES = Object.freeze({
+    prod: 'error',
+});
+
+/**
+ * How deep the details of a record are copied. Deeper objects are replaced by a placeholder,
+ * so that logging the raw event data of an engine doesn't copy the whole engine.
+ * @type {number}
+ */
+const MAX_DETAILS_DEPTH = 5;
+
+/**
+ * A structured log record, as kept in the history and passed to the sinks.
+ * @typedef {object} LogRecord
+ * @property {number} timestamp When the record was logged, in milliseconds since the epoch.
+ * @property {('debug'|'info'|'warn'|'error')} level The severity.
+ * @property {string} playerId The ID of the player that logged the record.
+ * @property {string} category The part of the player that logged the record, e.g. 'player', 'qoe' or an engine name like 'hls'.
+ * @property {string} message The message.
+ * @property {object | null} details Additional data, copied into plain JSON-safe values.
+ */
+
+/**
+ * Resolves a level name, or one of its aliases, to its name in `LOG_LEVELS`.
+ * @param {string} level - The level name.
+ * @param {string} fallback - The level used for unknown names.
+ * @returns {string} The level name.
+ */
+function resolveLevel(level, fallback) {
+    const name = LEVEL_ALIASES[level] || level;
+    return name in LOG_LEVELS ? name : fallback;
+}
+
+/**
+ * Copies a value into plain, JSON-safe data: errors keep their name, message and stack, DOM nodes,
+ * functions and binary data are described by a placeholder, and cycles are cut.
+ * @param {*} value - The value to copy.
+ * @param {number} [depth=0] - The depth of the value in the copied structure.
+ * @param {WeakSet<object>} [ancestors] - The objects that contain the value, to detect cycles.
+ * @returns {*} The copy.
+ */
+function toPlain(value, depth = 0, ancestors = new WeakSet()) {
+    if (typeof value === 'function') return `[Function: ${value.name || 'anonymous'}]`;
+    if (typeof value === 'bigint' || typeof value === 'symbol') return String(value);
+    if (value === null || typeof value !== 'object') return value;
+
+    if (value instanceof Error) return { name: value.name, message: value.message, stack: value.stack };
+    if (typeof Node !== 'undefined' && value instanceof Node) return `[${value.nodeName}]`;
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return `[${value.constructor.name} (${value.byteLength} bytes)]`;
+    if (ancestors.has(value)) return '[Circular]';
+    if (depth >= MAX_DETAILS_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+    ancestors.add(value);
+    const copy = Array.isArray(value)
+        ? value.map(item => toPlain(item, depth + 1, ancestors))
+        : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item, depth + 1, ancestors)]));
+    ancestors.delete(value);
+    return copy;
+}
+
+/**
+ * Formats a record as a single line of text.
+ * @param {LogRecord} record - The record.
+ * @returns {string} The line, e.g. `2025-01-01T12:00:00.000Z [WARN] [hls] Message {"key":"value"}`.
+ */
+function formatRecord({ timestamp, level, category, message, details }) {
+    const line = `${new Date(timestamp).toISOString()} [${level.toUpperCase()}] [${category}] ${message}`;
+    return details === null || details === undefined ? line : `${line} ${JSON.stringify(details)}`;
+}
+
+/**
+ * Turns log calls into structured records. Records at or above the console threshold are written to
+ * the browser console, all of them are kept in a bounded history for export, and those at or above the
+ * sink threshold are passed to every sink.
+ */
+export default class Logger {
+    /**
+     * Creates a logger.
+     * @param {string} playerId The ID of the player, added to every record.
+     * @param {string} consoleLevel The threshold for the console output, see `LOG_LEVELS`.
+     * @param {object} options The `logger` options of the player.
+     * @param {Array<function(LogRecord): void>} options.sinks Functions that receive the records.
+     * @param {string} options.level The threshold for the sinks.
+     * @param {number} options.historySize The number of records kept for `serialize()`.
+     */
+    constructor(playerId, consoleLevel, { sinks, level, historySize }) {
+        this.playerId = playerId;
+        this.consoleLevel = LOG_LEVELS[resolveLevel(consoleLevel, 'error')];
+        this.sinkLevel = LOG_LEVELS[resolveLevel(level, 'debug')];
+        this.historySize = historySize;
+        /** @type {LogRecord[]} The most recent records, oldest first. */
+        this.history = [];
+        /** @type {Set<function(LogRecord): void>} */
+        this.sinks = new Set();
+        (sinks || []).forEach(sink => this.addSink(sink));
+    }
+
+    /**
+     * Logs a message.
+     * @param {string} level - The severity, see `LOG_LEVELS`. Unknown levels are logged as 'info'.
+     * @param {string} message - The message.
+     * @param {object | null} [details=null] - Additional data.
+     * @param {string} [category='player'] - The part of the player that logs the message.
+     * @returns {LogRecord} The record.
+     */
+    log(level, message, details = null, category = 'player') {
+        const record = {
+            timestamp: Date.now(),
+            level: resolveLevel(level, 'info'),
+            playerId: this.playerId,
+            category,
+            message,
+            details: details === null || details === undefined ? null : toPlain(details),
+        };
+        const severity = LOG_LEVELS[record.level];
+
+        if (severity >= this.consoleLevel) {
+            const consoleMethod = {
+                debug: console.log,
+                info: console.info,
+                warn: console.warn,
+                error: console.error,
+            }[record.level];
+            const prefix = `[LivePlayer][${this.playerId}]${category === 'player' ? '' : `[${category}]`}`;
+            // Only debug output is verbose enough to print the details. The original object is
+            // printed, so that it can be inspected in the console.
+            if (record.level === 'debug' && record.details !== null) {
+                consoleMethod(`${prefix} ${message}`, details);
+            } else {
+                consoleMethod(`${prefix} ${message}`);
+            }
+        }
+
+        this.history.push(record);
+        if (this.history.length > this.historySize) this.history.shift();
+
+        if (severity >= this.sinkLevel) {
+            this.sinks.forEach((sink) => {
+                try {
+                    sink(record);
+                } catch (error) {
+                    // Not logged through the logger itself, since the sink would fail again.
+                    console.error(`[LivePlayer][${this.playerId}] Log sink threw an error: ${error.message}`);
+                }
+            });
+        }
+        return record;
+    }
+
+    /**
+     * Changes the threshold for the console output.
+     * @param {string} level - The level name, see `LOG_LEVELS`. Unknown names are treated as 'error'.
+     */
+    setConsoleLevel(level) {
+        this.consoleLevel = LOG_LEVELS[resolveLevel(level, 'error')];
+    }
+
+    /**
+     * Adds a function that receives every record at or above the sink threshold.
+     * @param {function(LogRecord): void} sink - The sink.
+     */
+    addSink(sink) {
+        if (typeof sink !== 'function') {
+            throw new TypeError('A log sink must be a function.');
+        }
+        this.sinks.add(sink);
+    }
+
+    /**
+     * Removes a sink added with `addSink()`.
+     * @param {function(LogRecord): void} sink - The sink.
+     */
+    removeSink(sink) {
+        this.sinks.delete(sink);
+    }
+
+    /**
+     * Returns the most recent records, oldest first.
+     * @param {number} [limit] - The maximum number of records. All records of the history if omitted.
+     * @returns {LogRecord[]} The records.
+     */
+    getRecords(limit = this.history.length) {
+        return this.history.slice(-limit);
+    }
+
+    /**
+     * Serializes the history, preceded by information about the player, e.g. for a bug report.
+     * @param {('json'|'text')} format - A JSON document, or a header followed by one line per record.
+     * @param {object} meta - The information about the player.
+     * @returns {string} The serialized logs.
+     */
+    serialize(format, meta) {
+        const plainMeta = toPlain(meta);
+        if (format === 'text') {
+            const header = Object.entries(plainMeta).map(([key, value]) => (
+                `${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`
+            ));
+            return [...header, '', ...this.history.map(formatRecord)].join('\n');
+        }
+        return JSON.stringify({ ...plainMeta, logs: this.history }, null, 2);
+    }
+}
@@ -0,0 +1,346 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file QoeMonitor.js
+ * @description Collects quality-of-experience metrics for a LivePlayer session and reports them to a beacon.
+ */
+
+/**
+ * The interval in milliseconds for sampling latency, frames and bitrate from the video element.
+ * @type {number}
+ */
+const SAMPLE_INTERVAL = 1000;
+
+/**
+ * Tracks the quality of experience of a player from its events: startup time, rebuffering,
+ * recoveries, line switches and time spent offline, plus samples of latency, dropped frames and bitrate.
+ * A session lasts for the lifetime of the player. Notable moments are also kept as records,
+ * which are sent in batches to the configured beacon together with a snapshot of the stats.
+ */
+export default class QoeMonitor {
+    /**
+     * Creates a monitor and starts tracking the player.
+     * @param {import('./LivePlayer.js').default} player The player to monitor.
+     * @param {object} beacon The `beacon` options of the player.
+     * @param {string | null} beacon.url An endpoint that receives each batch as a JSON POST request.
+     * @param {Function | null} beacon.onReport A function that receives each batch.
+     * @param {number} beacon.interval The interval in milliseconds for sending a batch.
+     * @param {number} beacon.maxBatchSize The number of records that triggers sending a batch early.
+     */
+    constructor(player, beacon) {
+        this.player = player;
+        this.beacon = beacon;
+        this.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+        this.startedAt = Date.now();
+
+        /** @type {Array<object>} The records that have not been reported yet. */
+        this.records = [];
+        /** @type {number} The number of reports sent so far. */
+        this.reportCount = 0;
+
+        this.counters = {
+            startups: 0,
+            rebuffers: 0,
+            recoveryAttempts: 0,
+            lineSwitches: 0,
+            fallbacks: 0,
+            offlines: 0,
+            errors: 0,
+        };
+        this.durations = {
+            playing: 0,
+            rebuffering: 0,
+            offline: 0,
+        };
+        /** @type {number | null} The time to the first frame of the session, in milliseconds. */
+        this.timeToFirstFrame = null;
+        /** @type {number | null} The time to the first frame of the most recent setup, in milliseconds. */
+        this.lastStartupTime = null;
+
+        // Start times of the intervals in progress, from performance.now(), or null.
+        this.loadingSince = null;
+        this.playingSince = null;
+        this.rebufferingSince = null;
+        this.offlineSince = null;
+
+        this.latencySum = 0;
+        this.latencySamples = 0;
+        this.lastLatency = null;
+        // Frame counters of the video element start over with every new source, so keep those of earlier sources.
+        this.frameBase = { dropped: 0, total: 0 };
+        this.lastFrames = { dropped: 0, total: 0 };
+
+        this.subscribe();
+        this.sampler = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+        if (this.isReporting()) {
+            this.reporter = setInterval(() => this.flush(), beacon.interval);
+            // Last chance to report before the page goes away.
+            this.handlePageHide = () => this.flush();
+            window.addEventListener('pagehide', this.handlePageHide);
+        }
+    }
+
+    /**
+     * Subscribes to the player events that mark the moments measured by the monitor.
+     * @private
+     */
+    subscribe() {
+        const { Events } = this.player.constructor;
+        this.player.on(Events.STATE_CHANGE, change => this.handleStateChange(change));
+        this.player.on(Events.RECOVERING, ({ reason, attempt }) => {
+            this.counters.recoveryAttempts++;
+            this.record('recovery', { reason, attempt });
+        });
+        this.player.on(Events.LINE_SWITCHED, ({ name, url }) => {
+            this.counters.lineSwitches++;
+            this.record('lineSwitch', { name, url });
+        });
+        this.player.on(Events.FALLBACK_USED, ({ fallbackUrl, reason }) => {
+            this.counters.fallbacks++;
+            this.record('fallback', { url: fallbackUrl, reason });
+        });
+        this.player.on(Events.QUALITY_CHANGE, ({ index, auto, level }) => {
+            this.record('qualityChange', { index, auto, bitrate: level ? level.bitrate : null });
+        });
+        this.player.on(Events.ERROR, ({ message }) => {
+            this.counters.errors++;
+            this.record('error', { message });
+        });
+    }
+
+    /**
+     * Opens and closes the measured intervals as the player changes state.
+     * @private
+     * @param {{from: string, to: string, reason: string}} change - The `statechange` payload.
+     */
+    handleStateChange({ from, to, reason }) {
+        const { States } = this.player.constructor;
+        const now = performance.now();
+
+        if (from === States.PLAYING && this.playingSince !== null) {
+            this.durations.playing += now - this.playingSince;
+            this.playingSince = null;
+        }
+
+        // A stall ends when playback resumes, when the stream goes offline or when the viewer moves on.
+        // Reconnects after a stall (reasons ending in '-recovery') are part of the rebuffering.
+        if (this.rebufferingSince !== null) {
+            const isRecoverySetup = to === States.LOADING && reason.endsWith('-recovery');
+            if (to === States.PLAYING || (!isRecoverySetup && [States.LOADING, States.OFFLINE, States.IDLE, States.DESTROYED].includes(to))) {
+                const duration = now - this.rebufferingSince;
+                this.durations.rebuffering += duration;
+                this.rebufferingSince = null;
+                this.record('rebuffer', { duration: Math.round(duration) });
+            }
+        } else if (from === States.PLAYING && [States.STALLED, States.INVESTIGATING, States.RECOVERING].includes(to)) {
+            this.counters.rebuffers++;
+            this.rebufferingSince = now;
+        }
+
+        if (to === States.OFFLINE && this.offlineSince === null) {
+            this.counters.offlines++;
+            this.offlineSince = now;
+            this.record('offline', { reason });
+        } else if (this.offlineSince !== null && ![States.OFFLINE, States.POLLING].includes(to)) {
+            const duration = now - this.offlineSince;
+            this.durations.offline += duration;
+            this.offlineSince = null;
+            this.record('offlineEnd', { duration: Math.round(duration), reason });
+        }
+
+        if (to === States.LOADING) {
+            // A startup is measured from the first setup until a frame is rendered, ignoring reconnects during a stall.
+            if (this.loadingSince === null && this.rebufferingSince === null) this.loadingSince = now;
+        }
+
+        if (to === States.PLAYING) {
+            this.playingSince = now;
+            if (this.loadingSince !== null) {
+                this.lastStartupTime = Math.round(now - this.loadingSince);
+                this.loadingSince = null;
+                this.counters.startups++;
+                const first = this.timeToFirstFrame === null;
+                if (first) this.timeToFirstFrame = this.lastStartupTime;
+                this.record('startup', {
+                    duration: this.lastStartupTime,
+                    first,
+                    url: this.player.currentUrl,
+                    engine: this.player.currentPlayerType,
+                });
+            }
+        }
+
+        if (to === States.IDLE) this.loadingSince = null;
+    }
+
+    /**
+     * Samples the live latency while playing.
+     * @private
+     */
+    sample() {
+        this.trackFrames();
+        const { video } = this.player;
+        if (!video || this.player.state !== this.player.constructor.States.PLAYING || video.paused || video.buffered.length === 0) return;
+        const latency = video.buffered.end(video.buffered.length - 1) - video.currentTime;
+        if (latency < 0) return;
+        this.lastLatency = latency;
+        this.latencySum += latency;
+        this.latencySamples++;
+    }
+
+    /**
+     * Reads the frame counters of the video element.
+     * @private
+     * @returns {{dropped: number, total: number}}
+     */
+    readFrames() {
+        const quality = this.player.video && this.player.video.getVideoPlaybackQuality
+            ? this.player.video.getVideoPlaybackQuality()
+            : null;
+        return quality
+            ? { dropped: quality.droppedVideoFrames, total: quality.totalVideoFrames }
+            : { dropped: 0, total: 0 };
+    }
+
+    /**
+     * Reads the frame counters and, if they have dropped since the last reading because a new source
+     * was loaded, adds those of the previous source to the session totals.
+     * @private
+     * @returns {{dropped: number, total: number}} The frame counters of the session.
+     */
+    trackFrames() {
+        const frames = this.readFrames();
+        if (frames.total < this.lastFrames.total) {
+            this.frameBase.dropped += this.lastFrames.dropped;
+            this.frameBase.total += this.lastFrames.total;
+        }
+        this.lastFrames = frames;
+        return { dropped: this.frameBase.dropped + frames.dropped, total: this.frameBase.total + frames.total };
+    }
+
+    /**
+     * Returns the metrics of the session so far.
+     * @returns {object} See `LivePlayer#getStats()`.
+     */
+    getStats() {
+        const now = performance.now();
+        const playing = this.durations.playing + (this.playingSince !== null ? now - this.playingSince : 0);
+        const rebuffering = this.durations.rebuffering + (this.rebufferingSince !== null ? now - this.rebufferingSince : 0);
+        const offline = this.durations.offline + (this.offlineSince !== null ? now - this.offlineSince : 0);
+        const frames = this.trackFrames();
+        const { video } = this.player;
+        const { current, levels } = this.player.getQualities();
+        const level = levels.find(l => l.index === current);
+
+        return {
+            sessionId: this.sessionId,
+            startedAt: this.startedAt,
+            engine: this.player.currentPlayerType,
+            url: this.player.currentUrl,
+            state: this.player.state,
+            timeToFirstFrame: this.timeToFirstFrame,
+            lastStartupTime: this.lastStartupTime,
+            startups: this.counters.startups,
+            playingDuration: Math.round(playing),
+            rebufferCount: this.counters.rebuffers,
+            rebufferDuration: Math.round(rebuffering),
+            stallRatio: playing + rebuffering > 0 ? rebuffering / (playing + rebuffering) : 0,
+            recoveryAttempts: this.counters.recoveryAttempts,
+            lineSwitches: this.counters.lineSwitches,
+            fallbacks: this.counters.fallbacks,
+            offlineCount: this.counters.offlines,
+            offlineDuration: Math.round(offline),
+            errors: this.counters.errors,
+            latency: this.lastLatency,
+            averageLatency: this.latencySamples > 0 ? this.latencySum / this.latencySamples : null,
+            droppedFrames: frames.dropped,
+            totalFrames: frames.total,
+            width: video ? video.videoWidth : 0,
+            height: video ? video.videoHeight : 0,
+            bitrate: level ? level.bitrate : null,
+        };
+    }
+
+    /**
+     * Whether a beacon endpoint or callback is configured.
+     * @private
+     * @returns {boolean}
+     */
+    isReporting() {
+        return Boolean(this.beacon && (this.beacon.url || typeof this.beacon.onReport === 'function'));
+    }
+
+    /**
+     * Adds a record to the next report, and sends the report early if the batch is full.
+     * @private
+     * @param {string} type - The kind of moment, e.g. 'startup' or 'rebuffer'.
+     * @param {object} data - The details of the moment.
+     */
+    record(type, data) {
+        if (!this.isReporting()) return;
+        this.records.push({ type, time: Date.now(), ...data });
+        if (this.records.length >= this.beacon.maxBatchSize) this.flush();
+    }
+
+    /**
+     * Sends the pending records and a snapshot of the stats to the beacon. Apart from the final
+     * report, nothing is sent while there is nothing new to report, i.e. no records and no playback.
+     * @param {boolean} [isFinal=false] - Whether this is the last report of the session.
+     */
+    flush(isFinal = false) {
+        if (!this.isReporting()) return;
+        const { States } = this.player.constructor;
+        if (!isFinal && this.records.length === 0 && this.player.state !== States.PLAYING) return;
+
+        const report = {
+            sessionId: this.sessionId,
+            playerId: this.player.id,
+            version: this.player.getVersion(),
+            sequence: this.reportCount++,
+            sentAt: Date.now(),
+            final: isFinal,
+            stats: this.getStats(),
+            records: this.records,
+        };
+        this.records = [];
+
+        if (typeof this.beacon.onReport === 'function') {
+            try {
+                this.beacon.onReport(report);
+            } catch (error) {
+                this.player.log(`Beacon callback threw an error: ${error.message}`, 'error', error, 'qoe');
+            }
+        }
+        if (this.beacon.url) this.send(report);
+    }
+
+    /**
+     * Posts a report to the beacon endpoint. `navigator.sendBeacon` is preferred, since it
+     * also delivers the last report while the page is being unloaded.
+     * @private
+     * @param {object} report - The report to send.
+     */
+    send(report) {
+        const body = JSON.stringify(report);
+        if (navigator.sendBeacon && navigator.sendBeacon(this.beacon.url, new Blob([body], { type: 'application/json' }))) return;
+        fetch(this.beacon.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true,
+        }).catch(error => this.player.log(`Failed to send QoE report: ${error.message}`, 'warn', null, 'qoe'));
+    }
+
+    /**
+     * Stops tracking and sends the final report.
+     */
+    destroy() {
+        clearInterval(this.sampler);
+        if (this.reporter) clearInterval(this.reporter);
+        if (this.handlePageHide) window.removeEventListener('pagehide', this.handlePageHide);
+        this.flush(true);
+    }
+}
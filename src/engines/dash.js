@@ -0,0 +1,236 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file engines/dash.js
+ * @description The built-in MPEG-DASH engine adapter, backed by dash.js.
+ */
+
+import { loadLibrary, supportsMediaSource } from './loader.js';
+
+/**
+ * The dash.js library, once loaded by `load()`.
+ * @type {object | null}
+ */
+let dashjs = null;
+
+/**
+ * The dash.js settings applied before `options.liveEdge.dashConfig`. They mirror the
+ * latency and retry defaults of the hls.js configuration.
+ * @type {object}
+ */
+const DASH_DEFAULT_SETTINGS = Object.freeze({
+    streaming: {
+        delay: {
+            liveDelayFragmentCount: 3, // Try to stay 3 segments from the live edge
+        },
+        liveCatchup: {
+            enabled: true, // Speed up playback if we fall behind the target delay
+        },
+        retryAttempts: {
+            MPD: 5, // Retry manifest loading 5 times
+        },
+        retryIntervals: {
+            MPD: 1000, // 1s delay between manifest retries
+        },
+    },
+});
+
+/**
+ * Extracts the parts of an MPD that change while a live stream is running: the `publishTime`
+ * and the last segment of every `SegmentTimeline`. Two manifests with the same fingerprint
+ * describe the same (stale) state of the stream.
+ * @param {string} mpdContent - The raw MPD XML.
+ * @returns {{value: string, isStatic: boolean} | null} The fingerprint, or null if the MPD could not be parsed.
+ */
+function getMpdFingerprint(mpdContent) {
+    const doc = new DOMParser().parseFromString(mpdContent, 'application/xml');
+    const mpd = doc.documentElement;
+    if (!mpd || mpd.localName !== 'MPD') return null;
+
+    const timelineEnds = Array.from(mpd.getElementsByTagNameNS('*', 'SegmentTimeline')).map((timeline) => {
+        const segments = timeline.getElementsByTagNameNS('*', 'S');
+        const last = segments[segments.length - 1];
+        return last ? ['t', 'd', 'r'].map(attr => last.getAttribute(attr) || '').join(':') : '';
+    });
+
+    return {
+        isStatic: mpd.getAttribute('type') === 'static',
+        value: [mpd.getAttribute('publishTime') || '', ...timelineEnds].join('|'),
+    };
+}
+
+/**
+ * Requests a URL and returns the HTTP status code, without reading the body.
+ * @param {string} url - The URL to request.
+ * @param {function(string, RequestInit): Promise<Response>} fetchUrl - The `fetch` of the engine context.
+ * @returns {Promise<number | null>} The status code, or null on a network error.
+ */
+async function fetchStatus(url, fetchUrl) {
+    const controller = new AbortController();
+    try {
+        const response = await fetchUrl(url, { cache: 'no-cache', signal: controller.signal });
+        return response.status;
+    } catch (error) {
+        return null;
+    } finally {
+        controller.abort();
+    }
+}
+
+/**
+ * Plays MPEG-DASH streams through dash.js.
+ * The engine handle is `{ player, url, fetch }`, where `fetch` is the one of the engine context.
+ * @type {import('../LivePlayer.js').EngineAdapter}
+ */
+const dashEngine = {
+    canPlay(url, type) {
+        return type === 'dash' && supportsMediaSource('video/mp4; codecs="avc1.4d401e,mp4a.40.2"');
+    },
+
+    async load(video, context) {
+        dashjs = await loadLibrary('dashjs', { globalName: 'dashjs', importModule: () => import('dashjs') }, context.library);
+    },
+
+    attach(video, url, context) {
+        context.log(`Initializing dash.js for: ${url}`, 'debug');
+
+        const player = dashjs.MediaPlayer().create();
+        // dash.js deep-merges settings, so the user's config only needs to contain what it changes.
+        player.updateSettings(DASH_DEFAULT_SETTINGS);
+        player.updateSettings(context.options.liveEdge.dashConfig || {});
+
+        // Apply `options.network` to every request of dash.js. The URL is modified before the request is opened
+        // and the headers afterwards, each for the URL at that point, since dash.js may change it in between
+        // (e.g. for CMCD). Credentials are a setting of dash.js, because its low-latency fetch loader passes
+        // a stand-in for the XHR to `modifyRequestHeader`.
+        player.setXHRWithCredentialsForType(undefined, context.options.network.withCredentials);
+        player.extend('RequestModifier', () => ({
+            modifyRequestURL: requestUrl => context.prepareRequest(requestUrl).url,
+            modifyRequestHeader(xhr, { url: requestUrl }) {
+                const { headers } = context.prepareRequest(requestUrl).init;
+                Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+                return xhr;
+            },
+        }), true);
+        // Playback is started by the player, like for the other engines.
+        player.initialize(video, url, false);
+
+        player.on(dashjs.MediaPlayer.events.STREAM_INITIALIZED, () => {
+            context.log('dash.js stream initialized, stream ready.', 'info');
+        });
+
+        return { player, url, fetch: context.fetch };
+    },
+
+    onError({ player, url, fetch: fetchUrl }, listener) {
+        const { events, errors } = dashjs.MediaPlayer;
+
+        // dash.js only raises error events once its own retries are exhausted.
+        player.on(events.ERROR, async (event) => {
+            const { error } = event;
+            const code = error && error.code;
+            let status = null;
+            // dash.js does not report the HTTP status of a failed manifest request, so ask the server
+            // ourselves to handle an initial 404 like the other engines do.
+            if (code === errors.MANIFEST_LOADER_LOADING_FAILURE_ERROR_CODE) {
+                status = await fetchStatus(url, fetchUrl);
+            }
+            listener({ details: String(code), fatal: true, status, data: event });
+        });
+
+        // The buffer ran dry. Like for HLS, the manifest tells a network hiccup from the end of the stream.
+        player.on(events.BUFFER_EMPTY, (event) => {
+            listener({ details: 'bufferEmpty', fatal: false, status: null, stalled: true, data: event });
+        });
+    },
+
+    getLatency({ player }) {
+        // NaN until the stream is initialized, and for static presentations.
+        const latency = player.getCurrentLiveLatency();
+        return Number.isFinite(latency) && latency > 0 ? latency : null;
+    },
+
+    stop({ player }) {
+        player.reset();
+    },
+
+    destroy({ player }) {
+        player.reset();
+    },
+
+    /**
+     * Fetches the manifest several times and compares its `publishTime` and segment timelines.
+     * A live manifest that stops changing, or one that has turned static, means the broadcast has ended.
+     */
+    async investigateFailure({ url }, context) {
+        const MAX_CHECKS = 3;
+        const CHECK_INTERVAL = 1500;
+        let lastFingerprint = null;
+
+        for (let i = 1; i <= MAX_CHECKS; i++) {
+            if (context.isCancelled()) break;
+
+            try {
+                const response = await context.fetch(url, { cache: 'no-cache' });
+                if (!response.ok) throw new Error(`HTTP Status ${response.status}`);
+                const fingerprint = getMpdFingerprint(await response.text());
+                if (!fingerprint) throw new Error('Manifest could not be parsed');
+
+                if (fingerprint.isStatic) {
+                    // The packager finalized the presentation: the broadcast is over.
+                    context.log(`DASH manifest turned static on check ${i}/${MAX_CHECKS}. The stream has ended.`, 'info');
+                    lastFingerprint = fingerprint.value;
+                    break;
+                }
+
+                if (lastFingerprint !== null && fingerprint.value !== lastFingerprint) {
+                    context.log(`DASH manifest updated on check ${i}/${MAX_CHECKS}. Stream is healthy.`, 'info');
+                    return { healthy: true, staleContent: null };
+                }
+
+                lastFingerprint = fingerprint.value;
+                context.log(`DASH investigation check ${i}/${MAX_CHECKS}: Manifest is stale.`, 'debug');
+            } catch (error) {
+                context.log(`Network error during DASH investigation check ${i}/${MAX_CHECKS}: ${error.message}.`, 'warn');
+            }
+
+            if (i < MAX_CHECKS) await new Promise(resolve => setTimeout(resolve, CHECK_INTERVAL));
+        }
+
+        // Remember the stale manifest so that the poller doesn't mistake it for a revived stream.
+        context.log('DASH manifest stopped updating.', 'error');
+        return { healthy: false, staleContent: lastFingerprint };
+    },
+
+    /**
+     * The stream counts as back online once its manifest is dynamic again
+     * and differs from the last known stale manifest.
+     */
+    async pollOffline(mpdUrl, context) {
+        context.log(`Intelligently polling DASH stream: ${mpdUrl}`, 'debug');
+        try {
+            const response = await context.fetch(mpdUrl, { cache: 'no-cache' });
+            if (!response.ok) return false;
+            const fingerprint = getMpdFingerprint(await response.text());
+
+            if (!fingerprint || fingerprint.isStatic) {
+                context.log('Poll check: DASH manifest is not a live manifest.', 'debug');
+                return false;
+            }
+            if (context.staleContent && fingerprint.value === context.staleContent) {
+                context.log('Poll check: DASH manifest is still stale.', 'debug');
+                return false;
+            }
+            context.log('DASH manifest has changed.', 'info');
+            return true;
+        } catch (error) {
+            context.log(`Poll check: Network error during DASH poll. ${error.message}`, 'warn');
+            return false;
+        }
+    },
+};
+
+export default dashEngine;
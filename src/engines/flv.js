@@ -0,0 +1,81 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file engines/flv.js
+ * @description The built-in FLV engine adapter, backed by flv.js.
+ */
+
+import { loadLibrary, supportsMediaSource } from './loader.js';
+
+/**
+ * The flv.js library, once loaded by `load()`.
+ * @type {object | null}
+ */
+let flvjs = null;
+
+/**
+ * Plays FLV streams through flv.js. flv.js has no manifest to inspect,
+ * so this adapter has no `investigateFailure` and relies on the recovery policy alone.
+ * @type {import('../LivePlayer.js').EngineAdapter}
+ */
+const flvEngine = {
+    canPlay(url, type) {
+        // flv.js transmuxes to fragmented MP4 and needs nothing else from the browser.
+        return type === 'flv' && supportsMediaSource();
+    },
+
+    async load(video, context) {
+        flvjs = await loadLibrary('flv.js', { globalName: 'flvjs', importModule: () => import('flv.js') }, context.library);
+    },
+
+    attach(video, url, context) {
+        context.log(`Initializing flv.js for: ${url}`, 'debug');
+
+        // flv.js requests the URL for the whole session, so `options.network` is applied once.
+        const request = context.prepareRequest(url);
+        const player = flvjs.createPlayer({
+            type: "flv",
+            isLive: true,
+            url: request.url,
+            withCredentials: request.init.credentials === 'include',
+        }, {
+            enableStashBuffer: false,
+            headers: request.init.headers,
+        });
+
+        player.attachMediaElement(video);
+        player.load();
+
+        player.on(flvjs.Events.METADATA_ARRIVED, () => {
+            context.log("FLV stream connected!", "info");
+        });
+
+        return player;
+    },
+
+    onError(player, listener) {
+        player.on(flvjs.Events.ERROR, (errorType, errorDetail, errorInfo) => {
+            // Media errors are left to flv.js, only network errors need a reconnect.
+            listener({
+                details: errorDetail,
+                fatal: errorType === flvjs.ErrorTypes.NETWORK_ERROR,
+                status: (errorInfo && errorInfo.code) || null,
+                data: { errorType, errorDetail, errorInfo },
+            });
+        });
+    },
+
+    stop(player) {
+        player.unload();
+        player.detachMediaElement();
+    },
+
+    destroy(player) {
+        player.destroy();
+    },
+};
+
+export default flvEngine;
@@ -0,0 +1,280 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file engines/hls.js
+ * @description The built-in HLS engine adapter, backed by the browser's native HLS support or hls.js.
+ */
+
+import { loadLibrary, supportsMediaSource } from './loader.js';
+
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+
+/**
+ * The hls.js library, once loaded by `load()`.
+ * @type {Function | null}
+ */
+let Hls = null;
+
+/**
+ * Whether to play through the browser's native HLS support rather than hls.js. The browser's own
+ * requests can't carry the headers of `options.network`, so hls.js is preferred where it is supported.
+ * @param {HTMLVideoElement} video The video element.
+ * @param {import('../LivePlayer.js').EngineContext} context The engine context.
+ * @returns {boolean} `true` for native playback.
+ */
+function usesNativePlayback(video, context) {
+    if (!video.canPlayType(HLS_MIME_TYPE)) return false;
+    const { headers, requestInterceptor } = context.options.network;
+    const needsCustomRequests = Object.keys(headers).length > 0 || typeof requestInterceptor === 'function';
+    return !(needsCustomRequests && supportsMediaSource());
+}
+
+/**
+ * Normalizes an M3U8 playlist content by removing query strings from .ts segment URLs.
+ * This is crucial for comparing playlists when server-side caches might alter query params
+ * without changing the actual underlying (stale) TS file.
+ * @param {string | null} m3u8Content The raw M3U8 content.
+ * @returns {string | null} The normalized M3U8 content or null if input was null.
+ */
+function normalizeM3u8Content(m3u8Content) {
+    if (!m3u8Content) {
+        return null;
+    }
+    // This regex finds all lines ending in '.ts?....' and replaces them with just '.ts'
+    // 'g' flag for global replace, 'm' flag for multiline mode (so '$' matches end of line)
+    return m3u8Content.replace(/\.ts\?.*$/gm, '.ts');
+}
+
+/**
+ * Plays HLS streams, using the browser's native HLS support first (e.g., on Safari)
+ * and falling back to hls.js if necessary.
+ * The engine handle is `{ hls }`, where `hls` is null for native playback.
+ * @type {import('../LivePlayer.js').EngineAdapter}
+ */
+const hlsEngine = {
+    canPlay(url, type, video) {
+        return type === 'hls' && (Boolean(video.canPlayType(HLS_MIME_TYPE)) || supportsMediaSource());
+    },
+
+    async load(video, context) {
+        // Native playback doesn't need hls.js at all.
+        if (usesNativePlayback(video, context)) return;
+        Hls = await loadLibrary('hls.js', { globalName: 'Hls', importModule: () => import('hls.js') }, context.library);
+    },
+
+    attach(video, url, context) {
+        if (usesNativePlayback(video, context)) { // Native HLS
+            context.log(`Using native HLS playback for: ${url}`, 'info');
+            video.src = url;
+            video.addEventListener('loadedmetadata', () => {
+                context.log('Native HLS stream metadata loaded.', 'info');
+            }, { once: true }); // Use once option to prevent duplicate binding
+            return { hls: null };
+        }
+
+        context.log(`Using hls.js for playback: ${url}`, 'info');
+        const hlsConfig = context.options.liveEdge.hlsConfig || {};
+        const hls = new Hls({
+            ...hlsConfig,
+            // Apply `options.network` to every request of hls.js. A setup function of the hlsConfig runs afterwards.
+            // Its result is returned, since hls.js waits for an asynchronous setup before sending the request.
+            xhrSetup: (xhr, requestUrl, loaderContext) => {
+                const request = context.prepareRequest(requestUrl);
+                xhr.open('GET', request.url, true);
+                xhr.withCredentials = request.init.credentials === 'include';
+                Object.entries(request.init.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+                return hlsConfig.xhrSetup ? hlsConfig.xhrSetup(xhr, request.url, loaderContext) : undefined;
+            },
+            fetchSetup: (loaderContext, initParams) => {
+                const request = context.prepareRequest(loaderContext.url, initParams);
+                return hlsConfig.fetchSetup
+                    ? hlsConfig.fetchSetup({ ...loaderContext, url: request.url }, request.init)
+                    : new Request(request.url, request.init);
+            },
+        });
+        hls.loadSource(url);
+        hls.attachMedia(video);
+
+        hls.on(Hls.Events.MANIFEST_PARSED, () => {
+            context.log('hls.js manifest parsed, stream ready.', 'info');
+        });
+
+        return { hls };
+    },
+
+    onError({ hls }, listener) {
+        // Native playback does not report anything beyond the video element's own events.
+        if (!hls) return;
+
+        hls.on(Hls.Events.ERROR, (event, data) => {
+            const isManifestError = data.details === Hls.ErrorDetails.MANIFEST_LOAD_ERROR;
+            const code = data.response?.code;
+            // A 404 only means "offline" for the manifest, while a 401 or 403 on any request means the URL has expired.
+            // If hls.js itself gives up after its own retries, the player escalates to its recovery mechanism.
+            // This handles levelLoadTimeOut, manifestLoadError, and any other future fatal errors generically.
+            // A stalled buffer is an ambiguous "soft error" that calls for an investigation.
+            // All other non-fatal errors (like bufferNudgeOnStall) are considered minor and handled internally.
+            listener({
+                details: data.details,
+                fatal: Boolean(data.fatal),
+                status: ((isManifestError || code === 401 || code === 403) && code) || null,
+                stalled: data.details === Hls.ErrorDetails.BUFFER_STALLED_ERROR,
+                data,
+            });
+        });
+    },
+
+    stop({ hls }, video) {
+        video.src = '';
+        video.removeAttribute('src');
+        if (hls) hls.stopLoad();
+    },
+
+    destroy({ hls }) {
+        if (hls) hls.destroy();
+    },
+
+    getQualities({ hls }) {
+        // Native playback picks the rendition itself and doesn't expose the variants.
+        if (!hls) return null;
+        return {
+            auto: hls.autoLevelEnabled,
+            current: hls.currentLevel,
+            levels: (hls.levels || []).map((level, index) => ({
+                index,
+                width: level.width || 0,
+                height: level.height || 0,
+                bitrate: level.bitrate || 0,
+            })),
+        };
+    },
+
+    setQuality({ hls }, index) {
+        // Switch at the next fragment rather than flushing the buffer, which would stall a live stream.
+        hls.nextLevel = index;
+    },
+
+    onQualityChange({ hls }, listener) {
+        if (!hls) return;
+        hls.on(Hls.Events.MANIFEST_PARSED, () => listener());
+        hls.on(Hls.Events.LEVEL_SWITCHED, () => listener());
+    },
+
+    getLatency({ hls }) {
+        // hls.js derives the latency from the playlist and reports 0 until it knows it.
+        return hls && hls.latency > 0 ? hls.latency : null;
+    },
+
+    /**
+     * Checks whether the HLS media playlist is still being updated.
+     * This is the most reliable way to differentiate a network stall from a true "stream ended" event.
+     * It programmatically checks for a stale playlist multiple times without relying on
+     * a full player reconnect loop. This is the definitive solution to the "ghost-play" loop.
+     */
+    async investigateFailure({ hls }, context) {
+        if (!hls || !hls.levels || hls.currentLevel < 0) {
+            throw new Error('HLS player or its active level is not ready.');
+        }
+
+        const mediaPlaylistUrl = hls.levels[hls.currentLevel].url;
+        const MAX_CHECKS = 3;
+        const CHECK_INTERVAL = 1500;
+        let lastFetchedRawContent = ''; // Store the raw content of the playlist for the final cache
+
+        for (let i = 1; i <= MAX_CHECKS; i++) {
+            if (context.isCancelled()) break;
+
+            try {
+                const response = await context.fetch(mediaPlaylistUrl, { cache: 'no-cache' });
+                if (!response.ok) throw new Error(`HTTP Status ${response.status}`);
+                const currentFetchedRawContent = await response.text();
+
+                // On the second check and onwards, compare the new playlist with the last one
+                if (i > 1) {
+                    // --- FIX: Compare NORMALIZED content to defeat caching issues ---
+                    const lastNormalized = normalizeM3u8Content(lastFetchedRawContent);
+                    const currentNormalized = normalizeM3u8Content(currentFetchedRawContent);
+
+                    if (currentNormalized !== lastNormalized) {
+                        // SUCCESS: The playlist content has actually changed. The stream is alive.
+                        context.log(`HLS media playlist updated on check ${i}/${MAX_CHECKS}. Stream is healthy.`, 'info');
+                        return { healthy: true, staleContent: null };
+                    }
+                }
+
+                // For the next loop, the "current" content becomes the "last" content
+                lastFetchedRawContent = currentFetchedRawContent;
+                context.log(`HLS investigation check ${i}/${MAX_CHECKS}: Playlist is stale.`, 'debug');
+
+            } catch (error) {
+                context.log(`Network error during HLS investigation check ${i}/${MAX_CHECKS}: ${error.message}.`, 'warn');
+            }
+
+            if (i < MAX_CHECKS) await new Promise(resolve => setTimeout(resolve, CHECK_INTERVAL));
+        }
+
+        // FAILURE: All checks completed, and the normalized playlist never changed.
+        // The raw content of the stale playlist we last fetched is cached for the offline poller.
+        context.log(`HLS stream failed ${MAX_CHECKS} consecutive checks.`, 'error');
+        return { healthy: false, staleContent: lastFetchedRawContent };
+    },
+
+    /**
+     * Implements the "intelligent polling" strategy.
+     * It fetches the actual media playlist and compares its content against
+     * the last known stale content before deciding if the stream is truly back online.
+     */
+    async pollOffline(masterUrl, context) {
+        context.log(`Intelligently polling HLS stream: ${masterUrl}`, 'debug');
+
+        try {
+            // Step 1: Fetch the master playlist to get the current media playlist URL.
+            const masterResponse = await context.fetch(masterUrl, { cache: 'no-cache' });
+            if (!masterResponse.ok) return false;
+            const masterContent = await masterResponse.text();
+
+            // A very basic parser to find the first non-comment line (the media playlist URI)
+            const mediaPlaylistUri = masterContent.split('\n').find(line => line.trim() && !line.startsWith('#'));
+            if (!mediaPlaylistUri) return false;
+
+            // Handle both relative and absolute URIs in the master playlist
+            const mediaPlaylistUrl = new URL(mediaPlaylistUri, masterUrl).href;
+
+            // Step 2: Fetch the actual media playlist.
+            const mediaResponse = await context.fetch(mediaPlaylistUrl, { cache: 'no-cache' });
+            if (!mediaResponse.ok) return false;
+            const mediaContent = await mediaResponse.text();
+
+            // Normalize content before comparison
+            const normalizedMediaContent = normalizeM3u8Content(mediaContent);
+            const normalizedStaleContent = normalizeM3u8Content(context.staleContent);
+
+            // Enhanced debug logging to show both raw and normalized versions
+            context.log('--- M3U8 Comparison Debug ---', 'debug');
+            context.log('Stored (stale) RAW m3u8:', 'debug', { content: context.staleContent });
+            context.log('Fetched (current) RAW m3u8:', 'debug', { content: mediaContent });
+            context.log('Stored (stale) NORMALIZED m3u8:', 'debug', { content: normalizedStaleContent });
+            context.log('Fetched (current) NORMALIZED m3u8:', 'debug', { content: normalizedMediaContent });
+            context.log('--- End Comparison Debug ---', 'debug');
+
+            // Step 3: Compare its content with the last known stale content.
+            // The comparison now uses the normalized (parameter-free) content
+            if (context.staleContent && normalizedMediaContent === normalizedStaleContent) {
+                // It's still the same old, dead playlist. Do nothing and wait.
+                context.log('Poll check: HLS media playlist is still stale.', 'debug');
+                return false;
+            }
+            // It's different! This means the stream is genuinely new or has been revived.
+            context.log('HLS media playlist has changed.', 'info');
+            return true;
+        } catch (error) {
+            context.log(`Poll check: Network error during intelligent poll. ${error.message}`, 'warn');
+            return false;
+        }
+    },
+};
+
+export default hlsEngine;
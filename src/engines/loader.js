@@ -0,0 +1,103 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file engines/loader.js
+ * @description Helpers shared by the built-in engine adapters for loading their playback library on demand.
+ */
+
+/**
+ * The pending or completed loads, keyed by package name, so every library is only loaded once per page.
+ * @type {Map<string, Promise<*>>}
+ */
+const libraryLoads = new Map();
+
+/**
+ * Unwraps the default export of a dynamically imported module.
+ * @param {*} module - The module namespace, or the library itself.
+ * @returns {*} The library.
+ */
+function unwrapModule(module) {
+    return (module && module.default) || module;
+}
+
+/**
+ * Loads a classic script by adding a `<script>` element to the document.
+ * @param {string} url - The URL of the script.
+ * @returns {Promise<void>} Resolves once the script has run.
+ */
+function injectScript(url) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.async = true;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load script: ${url}`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Resolves a playback library, see `loadLibrary()`.
+ * @param {string} name - The package name of the library.
+ * @param {{globalName: string, importModule: function(): Promise<*>}} defaults - How to find the library by default.
+ * @param {string | {url?: string, global?: string} | function(): Promise<*> | undefined} source - The user's configuration.
+ * @returns {Promise<*>} The library.
+ */
+async function resolveLibrary(name, { globalName, importModule }, source) {
+    if (typeof source === 'function') {
+        return unwrapModule(await source());
+    }
+
+    const { url, global = globalName } = typeof source === 'string' ? { url: source } : (source || {});
+    if (window[global]) return window[global];
+
+    if (url) {
+        await injectScript(url);
+        if (!window[global]) throw new Error(`${url} did not define window.${global}.`);
+        return window[global];
+    }
+
+    try {
+        return unwrapModule(await importModule());
+    } catch (error) {
+        // In the UMD build, a bare module specifier can't be imported without a bundler or an import map.
+        throw new Error(`${name} is not available. Load it with a <script> tag or set its URL in the "libraries" option. (${error.message})`);
+    }
+}
+
+/**
+ * Loads the playback library of an engine, once per page. The library is taken from the first of:
+ * a loader function given as `source`, the global variable (if the page has already loaded the library
+ * with a `<script>` tag), the script URL given as `source`, and finally a dynamic `import()` of the package.
+ * A failed load is forgotten, so that the next stream setup tries again.
+ * @param {string} name - The package name of the library, e.g. 'flv.js'.
+ * @param {{globalName: string, importModule: function(): Promise<*>}} defaults - The global variable the
+ * library's UMD build defines, and a function that imports the package.
+ * @param {string | {url?: string, global?: string} | function(): Promise<*> | undefined} source - The entry
+ * for the engine in `options.libraries`: a script URL, a URL and global name, or a function resolving to the library.
+ * @returns {Promise<*>} The library.
+ */
+export function loadLibrary(name, defaults, source) {
+    if (!libraryLoads.has(name)) {
+        const load = resolveLibrary(name, defaults, source).catch((error) => {
+            libraryLoads.delete(name);
+            throw error;
+        });
+        libraryLoads.set(name, load);
+    }
+    return libraryLoads.get(name);
+}
+
+/**
+ * Checks for Media Source Extensions support without loading any playback library,
+ * the same way flv.js, hls.js and dash.js check it themselves.
+ * @param {string} [mimeType='video/mp4; codecs="avc1.42E01E,mp4a.40.2"'] - The media type the engine transmuxes into.
+ * @returns {boolean} `true` if MSE can play the given type.
+ */
+export function supportsMediaSource(mimeType = 'video/mp4; codecs="avc1.42E01E,mp4a.40.2"') {
+    const MediaSource = window.MediaSource || window.WebKitMediaSource;
+    return Boolean(MediaSource && typeof MediaSource.isTypeSupported === 'function' && MediaSource.isTypeSupported(mimeType));
+}
@@ -0,0 +1,187 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file i18n.js
+ * @description The built-in string tables of the player and the lookup of localized messages.
+ */
+
+/**
+ * The locale whose strings are used when a message is missing in the requested locale.
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * The languages written from right to left, by their primary language subtag.
+ * @type {ReadonlyArray<string>}
+ */
+const RTL_LANGUAGES = Object.freeze(['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi']);
+
+/**
+ * The built-in string tables, keyed by locale. Messages can contain `{name}` placeholders.
+ * @type {Readonly<Record<string, Readonly<Record<string, string>>>>}
+ */
+export const BUILTIN_MESSAGES = Object.freeze({
+    en: Object.freeze({
+        'player.label': 'Live video player',
+        'offline.message': 'The streamer is currently away.',
+        'offline.resuming': 'The stream is starting…',
+        'offline.startsIn': 'Starts in {time}',
+        'offline.scheduledFor': 'Next stream: {date}',
+        'offline.startingSoon': 'Starting soon',
+        'offline.notify': 'Notify me',
+        'controls.play': 'Play',
+        'controls.pause': 'Pause',
+        'controls.playPause': 'Play/Pause',
+        'controls.refresh': 'Refresh Stream',
+        'controls.mute': 'Mute',
+        'controls.muteUnmute': 'Mute/Unmute',
+        'controls.unmute': 'Unmute',
+        'controls.unmuteHint': 'Click to unmute',
+        'controls.mutedByBrowser': 'Muted by browser',
+        'controls.volume': 'Volume',
+        'controls.quality': 'Quality',
+        'controls.switchLine': 'Switch Line',
+        'controls.lines': 'Lines',
+        'controls.pip': 'Picture-in-Picture',
+        'controls.fullscreen': 'Fullscreen',
+        'quality.auto': 'Auto',
+        'quality.autoPlaying': 'Auto ({quality})',
+        'menu.label': 'Player menu',
+        'volume.muted': 'Muted',
+        'volume.unmuted': 'Unmuted',
+        'volume.level': 'Volume {percent}%',
+        'announce.offline': 'The stream is offline.',
+        'announce.online': 'The stream is back online.',
+        'stats.title': 'Stats for nerds',
+        'stats.close': 'Close stats',
+        'stats.player': 'Player',
+        'stats.state': 'State',
+        'stats.engine': 'Engine',
+        'stats.line': 'Line',
+        'stats.lineFallback': '{line} (fallback)',
+        'stats.url': 'URL',
+        'stats.resolution': 'Resolution',
+        'stats.bitrate': 'Bitrate',
+        'stats.buffer': 'Buffer',
+        'stats.latency': 'Live latency',
+        'stats.droppedFrames': 'Dropped frames',
+        'stats.recoveryAttempts': 'Recovery attempts',
+        'stats.offlinePoller': 'Offline poller',
+        'stats.pollerInactive': 'Inactive',
+        'stats.pollerNext': 'Poll #{count} in {seconds} s',
+        'error.setupFailed': 'The player could not be set up: {details}',
+        'error.noSources': 'No stream sources provided to start.',
+        'error.invalidUrl': 'Setup failed: Target URL is invalid.',
+        'error.typeUnsupported': '{type} playback is not supported in this browser.',
+        'error.formatUnsupported': 'Unsupported stream format for URL: {url}',
+        'error.engineLoadFailed': 'Failed to load the {engine} playback engine.',
+        'error.engineStartFailed': 'Failed to start {engine} playback.',
+    }),
+    zh: Object.freeze({
+        'player.label': '直播播放器',
+        'offline.message': '主播暂时不在，请稍后再来。',
+        'offline.resuming': '直播即将开始…',
+        'offline.startsIn': '{time} 后开播',
+        'offline.scheduledFor': '下次直播：{date}',
+        'offline.startingSoon': '即将开播',
+        'offline.notify': '开播提醒',
+        'controls.play': '播放',
+        'controls.pause': '暂停',
+        'controls.playPause': '播放/暂停',
+        'controls.refresh': '刷新直播',
+        'controls.mute': '静音',
+        'controls.muteUnmute': '静音/取消静音',
+        'controls.unmute': '取消静音',
+        'controls.unmuteHint': '点击取消静音',
+        'controls.mutedByBrowser': '已被浏览器静音',
+        'controls.volume': '音量',
+        'controls.quality': '画质',
+        'controls.switchLine': '切换线路',
+        'controls.lines': '线路',
+        'controls.pip': '画中画',
+        'controls.fullscreen': '全屏',
+        'quality.auto': '自动',
+        'quality.autoPlaying': '自动（{quality}）',
+        'menu.label': '播放器菜单',
+        'volume.muted': '已静音',
+        'volume.unmuted': '已取消静音',
+        'volume.level': '音量 {percent}%',
+        'announce.offline': '直播已离线。',
+        'announce.online': '直播已恢复。',
+        'stats.title': '详细统计信息',
+        'stats.close': '关闭统计信息',
+        'stats.player': '播放器',
+        'stats.state': '状态',
+        'stats.engine': '引擎',
+        'stats.line': '线路',
+        'stats.lineFallback': '{line}（备用）',
+        'stats.url': '地址',
+        'stats.resolution': '分辨率',
+        'stats.bitrate': '码率',
+        'stats.buffer': '缓冲',
+        'stats.latency': '直播延迟',
+        'stats.droppedFrames': '丢帧',
+        'stats.recoveryAttempts': '重连次数',
+        'stats.offlinePoller': '离线轮询',
+        'stats.pollerInactive': '未启用',
+        'stats.pollerNext': '第 {count} 次轮询，{seconds} 秒后',
+        'error.setupFailed': '播放器初始化失败：{details}',
+        'error.noSources': '未提供直播源。',
+        'error.invalidUrl': '初始化失败：目标地址无效。',
+        'error.typeUnsupported': '此浏览器不支持 {type} 播放。',
+        'error.formatUnsupported': '不支持的直播格式：{url}',
+        'error.engineLoadFailed': '无法加载 {engine} 播放引擎。',
+        'error.engineStartFailed': '无法启动 {engine} 播放。',
+    }),
+});
+
+/**
+ * Lists the locales to look a message up in, from the most to the least specific,
+ * e.g. 'zh-Hans-CN', 'zh-Hans', 'zh' and finally the default locale.
+ * @param {string} locale - A BCP 47 language tag.
+ * @returns {string[]} The locales.
+ */
+function getLocaleChain(locale) {
+    const parts = locale.split('-');
+    const chain = parts.map((part, index) => parts.slice(0, parts.length - index).join('-'));
+    return chain.includes(DEFAULT_LOCALE) ? chain : [...chain, DEFAULT_LOCALE];
+}
+
+/**
+ * Looks up a message. The app's messages take precedence over the built-in ones at every step of the
+ * locale chain, so an app can both override single strings and add locales.
+ * @param {string} locale - The locale.
+ * @param {string} key - The message key, e.g. 'offline.message'.
+ * @param {Record<string, Record<string, string>>} [messages={}] - The app's messages, keyed by locale.
+ * @returns {string | undefined} The message, or undefined if no locale has it.
+ */
+export function resolveMessage(locale, key, messages = {}) {
+    for (const candidate of getLocaleChain(locale)) {
+        const message = (messages[candidate] && messages[candidate][key]) ?? (BUILTIN_MESSAGES[candidate] && BUILTIN_MESSAGES[candidate][key]);
+        if (message !== undefined) return message;
+    }
+    return undefined;
+}
+
+/**
+ * Replaces the `{name}` placeholders of a message. Placeholders without a parameter are kept.
+ * @param {string} message - The message.
+ * @param {Record<string, *>} [params={}] - The parameters.
+ * @returns {string} The formatted message.
+ */
+export function formatMessage(message, params = {}) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Whether a locale is written from right to left.
+ * @param {string} locale - A BCP 47 language tag.
+ * @returns {boolean} `true` for right-to-left languages like Arabic or Hebrew.
+ */
+export function isRtlLocale(locale) {
+    return RTL_LANGUAGES.includes(locale.split('-')[0].toLowerCase());
+}
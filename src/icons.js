@@ -0,0 +1,39 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file icons.js
+ * @description The built-in icon set of the player, as inline SVG.
+ */
+
+/**
+ * Wraps the shapes of an icon into an SVG element. Shapes are stroked in the current text color,
+ * and those with `fill="currentColor"` are filled as well. The icon is sized to the font size.
+ * @param {string} shapes - The SVG shapes, drawn on a 24×24 grid.
+ * @returns {string} The SVG markup.
+ */
+function svg(shapes) {
+    return '<svg viewBox="0 0 24 24" width="1em" height="1em" fill="none" stroke="currentColor" stroke-width="2" '
+        + `stroke-linecap="round" stroke-linejoin="round" focusable="false">${shapes}</svg>`;
+}
+
+/**
+ * The built-in icons, keyed by name. `options.icons` overrides them by the same names.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const DEFAULT_ICONS = Object.freeze({
+    play: svg('<path d="M7 4.5v15l12-7.5z" fill="currentColor"/>'),
+    pause: svg('<path d="M7 5h3v14H7zM14 5h3v14h-3z" fill="currentColor"/>'),
+    refresh: svg('<path d="M20 12a8 8 0 1 1-2.5-5.8"/><path d="M20 4v5h-5"/>'),
+    volume: svg('<path d="M4 9h4l5-4v14l-5-4H4z" fill="currentColor"/><path d="M16.5 9a4 4 0 0 1 0 6M19 6.5a7.5 7.5 0 0 1 0 11"/>'),
+    volumeMuted: svg('<path d="M4 9h4l5-4v14l-5-4H4z" fill="currentColor"/><path d="M16.5 9.5l5 5M21.5 9.5l-5 5"/>'),
+    quality: svg('<path d="M4 7h16M4 17h16"/><circle cx="9" cy="7" r="2.5" fill="currentColor"/><circle cx="15" cy="17" r="2.5" fill="currentColor"/>'),
+    lines: svg('<circle cx="6" cy="18" r="2"/><circle cx="18" cy="6" r="2"/><path d="M8 18h7.5a3 3 0 0 0 0-6h-7a3 3 0 0 1 0-6H16"/>'),
+    pip: svg('<rect x="3" y="5" width="18" height="14" rx="2"/><rect x="12" y="12" width="6" height="4" fill="currentColor"/>'),
+    fullscreen: svg('<path d="M4 9V4h5M15 4h5v5M20 15v5h-5M9 20H4v-5"/>'),
+    exitFullscreen: svg('<path d="M9 4v5H4M20 9h-5V4M15 20v-5h5M4 15h5v5"/>'),
+    close: svg('<path d="M6 6l12 12M18 6L6 18"/>'),
+    offline: svg('<path d="M3 7h11v10H3zM14 10.5l6-3.5v10l-6-3.5"/><path d="M2 2l20 20"/>'),
+});
@@ -0,0 +1,172 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file wrappers/element.js
+ * @description The `<live-player>` custom element. Defines itself when loaded.
+ */
+
+import LivePlayer from '../LivePlayer.js';
+import Logger from '../Logger.js';
+import { createPlayer, updatePlayer, getPlayerKey, hasSources } from './shared.js';
+
+/**
+ * The name of the line created by the `src` attribute.
+ * @type {string}
+ */
+const SRC_LINE_NAME = 'Default';
+
+/**
+ * Wraps a LivePlayer into a custom element. The player is created once the element is in the document and
+ * has a source, and destroyed when it is removed. Attribute changes are applied at runtime, and the events
+ * of the player are dispatched as `CustomEvent`s of the same name, with the payload as `detail`.
+ *
+ * Attributes: `src` (a single stream URL) or `sources` (the JSON of `options.streamUrls`), `line`, `muted`,
+ * `volume`, `locale`, `log-level`, `live-edge`, `target-latency` and `autostart="false"`. All other options
+ * are set with the `options` property, which re-creates the player.
+ */
+export default class LivePlayerElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'sources', 'line', 'muted', 'volume', 'locale', 'log-level', 'live-edge', 'target-latency', 'autostart'];
+    }
+
+    constructor() {
+        super();
+        /** @private @type {LivePlayer | null} */
+        this.playerInstance = null;
+        /** @private @type {object} The options set with the `options` property. */
+        this.playerOptions = {};
+        /** @private @type {import('./shared.js').WrapperProps | null} The properties last applied to the player. */
+        this.appliedProps = null;
+        /** @private @type {string | null} See `getPlayerKey()`. */
+        this.playerKey = null;
+    }
+
+    /**
+     * The player, or null while the element has no source or is not in the document.
+     * @type {LivePlayer | null}
+     */
+    get player() {
+        return this.playerInstance;
+    }
+
+    /**
+     * The options of the player that have no attribute. Setting them re-creates the player.
+     * @type {object}
+     */
+    get options() {
+        return this.playerOptions;
+    }
+
+    set options(options) {
+        this.playerOptions = options || {};
+        this.render();
+    }
+
+    connectedCallback() {
+        this.render();
+    }
+
+    disconnectedCallback() {
+        // Moving the element disconnects and reconnects it in the same task, which shouldn't reload the stream.
+        queueMicrotask(() => {
+            if (!this.isConnected) this.destroyPlayer();
+        });
+    }
+
+    attributeChangedCallback() {
+        this.render();
+    }
+
+    /**
+     * Reads the wrapper properties from the attributes.
+     * @private
+     * @returns {import('./shared.js').WrapperProps} The properties.
+     */
+    getProps() {
+        let sources = {};
+        const src = this.getAttribute('src');
+        if (src) {
+            sources = { [SRC_LINE_NAME]: src };
+        } else if (this.hasAttribute('sources')) {
+            try {
+                sources = JSON.parse(this.getAttribute('sources'));
+            } catch (error) {
+                this.logError(`The sources attribute of <live-player> is not valid JSON: ${error.message}`);
+            }
+        }
+        const volume = this.getAttribute('volume');
+        const targetLatency = this.getAttribute('target-latency');
+        return {
+            sources,
+            line: this.getAttribute('line') || undefined,
+            muted: this.hasAttribute('muted'),
+            volume: volume === null ? undefined : Number(volume),
+            locale: this.getAttribute('locale') || undefined,
+            logLevel: this.getAttribute('log-level') || undefined,
+            liveEdge: {
+                // Without the attribute, `options.liveEdge.enabled` applies, also after the attribute is removed.
+                enabled: this.hasAttribute('live-edge') || Boolean(this.playerOptions.liveEdge && this.playerOptions.liveEdge.enabled),
+                ...(targetLatency === null ? {} : { targetLatency: Number(targetLatency) }),
+            },
+            options: this.playerOptions,
+            autoStart: this.getAttribute('autostart') !== 'false',
+        };
+    }
+
+    /**
+     * Logs an error of the element itself, which may occur while there is no player to log it. It is written
+     * like the records of a player, with the `log-level` attribute and the logger options of `options`.
+     * @private
+     * @param {string} message - The message.
+     */
+    logError(message) {
+        const consoleLevel = this.getAttribute('log-level') || this.playerOptions.logLevel || 'prod';
+        const logger = new Logger(this.id || 'live-player', consoleLevel, {
+            sinks: [],
+            level: 'debug',
+            historySize: 1,
+            ...(this.playerOptions.logger || {}),
+        });
+        logger.log('error', message, null, 'element');
+    }
+
+    /**
+     * Creates, re-creates or updates the player to match the attributes and options.
+     * @private
+     */
+    render() {
+        if (!this.isConnected) return;
+        const props = this.getProps();
+        const key = getPlayerKey(props);
+        if (this.playerInstance && key === this.playerKey) {
+            updatePlayer(this.playerInstance, this.appliedProps, props);
+        } else {
+            this.destroyPlayer();
+            if (hasSources(props)) {
+                this.playerInstance = createPlayer(LivePlayer, this, props, (event, payload) => {
+                    this.dispatchEvent(new CustomEvent(event, { detail: payload }));
+                });
+            }
+        }
+        this.appliedProps = props;
+        this.playerKey = key;
+    }
+
+    /**
+     * Destroys the player, if there is one.
+     * @private
+     */
+    destroyPlayer() {
+        if (!this.playerInstance) return;
+        this.playerInstance.destroy();
+        this.playerInstance = null;
+        this.playerKey = null;
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('live-player')) {
+    customElements.define('live-player', LivePlayerElement);
+}
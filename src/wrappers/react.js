@@ -0,0 +1,76 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file wrappers/react.js
+ * @description The React component of the player.
+ */
+
+import { createElement, forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import LivePlayer from '../LivePlayer.js';
+import { createPlayer, updatePlayer, getPlayerKey, hasSources } from './shared.js';
+
+/**
+ * The callback props of the events, e.g. `onStateChange` for `statechange`.
+ * @type {Readonly<Record<string, string>>}
+ */
+const CALLBACK_PROPS = Object.freeze({
+    [LivePlayer.Events.LOADING]: 'onLoading',
+    [LivePlayer.Events.PLAYING]: 'onPlaying',
+    [LivePlayer.Events.STALL]: 'onStall',
+    [LivePlayer.Events.RECOVERING]: 'onRecovering',
+    [LivePlayer.Events.OFFLINE]: 'onOffline',
+    [LivePlayer.Events.ONLINE]: 'onOnline',
+    [LivePlayer.Events.LINE_SWITCHED]: 'onLineSwitched',
+    [LivePlayer.Events.FALLBACK_USED]: 'onFallbackUsed',
+    [LivePlayer.Events.ERROR]: 'onError',
+    [LivePlayer.Events.STATE_CHANGE]: 'onStateChange',
+    [LivePlayer.Events.QUALITY_CHANGE]: 'onQualityChange',
+});
+
+/**
+ * Renders a LivePlayer into a `<div>`. The props of `WrapperProps` are applied through the runtime setters
+ * of the player when they change, while a change of `options` re-creates it. Events are passed to the
+ * `on<Event>` callback props, and the ref exposes `getPlayer()`.
+ * @type {import('react').ForwardRefExoticComponent<object>}
+ */
+const LivePlayerComponent = forwardRef(function LivePlayerComponent(props, ref) {
+    const containerRef = useRef(null);
+    const playerRef = useRef(null);
+    // The latest props, so that the event callbacks don't need to be re-subscribed on every render.
+    const propsRef = useRef(props);
+    const appliedPropsRef = useRef(null);
+    propsRef.current = props;
+    const playerKey = getPlayerKey(props);
+
+    useImperativeHandle(ref, () => ({ getPlayer: () => playerRef.current }), []);
+
+    useEffect(() => {
+        const initialProps = propsRef.current;
+        if (!hasSources(initialProps)) return undefined;
+        const player = createPlayer(LivePlayer, containerRef.current, initialProps, (event, payload) => {
+            const callback = propsRef.current[CALLBACK_PROPS[event]];
+            if (typeof callback === 'function') callback(payload);
+        });
+        playerRef.current = player;
+        appliedPropsRef.current = initialProps;
+        return () => {
+            player.destroy();
+            playerRef.current = null;
+        };
+    }, [playerKey]);
+
+    useEffect(() => {
+        if (!playerRef.current || appliedPropsRef.current === props) return;
+        updatePlayer(playerRef.current, appliedPropsRef.current, props);
+        appliedPropsRef.current = props;
+    });
+
+    return createElement('div', { ref: containerRef, className: props.className, style: props.style });
+});
+
+LivePlayerComponent.displayName = 'LivePlayer';
+
+export default LivePlayerComponent;
@@ -0,0 +1,159 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file wrappers/shared.js
+ * @description What the Web Component, React and Vue wrappers have in common: creating a player from the
+ * wrapper's properties, applying changed properties through the runtime setters, and forwarding the events.
+ */
+
+/**
+ * The properties of a wrapper. All but `options` and `autoStart` are applied at runtime when they change;
+ * a change of `options` re-creates the player.
+ * @typedef {object} WrapperProps
+ * @property {object} sources The stream sources, in the format of `options.streamUrls`.
+ * @property {string} [line] The name of the line to play.
+ * @property {boolean} [muted] Whether the video is muted.
+ * @property {number} [volume] The volume, from 0 to 1.
+ * @property {string} [locale] The language of the player's strings.
+ * @property {string} [logLevel] The lowest level written to the console.
+ * @property {object} [liveEdge] Live edge settings, merged over `options.liveEdge`.
+ * @property {object} [options] All other options of the player.
+ * @property {boolean} [autoStart=true] Whether to start playing as soon as the player is created.
+ */
+
+/**
+ * Compares two property values by their JSON form, so that an object literal that is passed anew
+ * on every render doesn't count as a change.
+ * @param {*} a - The previous value.
+ * @param {*} b - The current value.
+ * @returns {boolean} `true` if the values are equal.
+ */
+function isEqual(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Whether the properties contain at least one source. Without one, the wrappers don't create a player.
+ * @param {WrapperProps} props - The properties.
+ * @returns {boolean} `true` if there is a source.
+ */
+export function hasSources(props) {
+    return Boolean(props.sources) && Object.keys(props.sources).length > 0;
+}
+
+/**
+ * Derives the key that tells the wrappers when to re-create the player: when `options` change or the
+ * first source is added. Functions in `options` are left out, so that callbacks defined inline don't
+ * re-create the player on every render.
+ * @param {WrapperProps} props - The properties.
+ * @returns {string} The key.
+ */
+export function getPlayerKey(props) {
+    return `${hasSources(props)}|${JSON.stringify(props.options || {})}`;
+}
+
+/**
+ * Subscribes to all events of the player.
+ * @param {import('../LivePlayer.js').default} player - The player.
+ * @param {typeof import('../LivePlayer.js').default} LivePlayer - The player class.
+ * @param {function(string, object): void} listener - Called with the event name and the payload.
+ */
+function forwardEvents(player, LivePlayer, listener) {
+    Object.values(LivePlayer.Events).forEach((event) => {
+        player.on(event, payload => listener(event, payload));
+    });
+}
+
+/**
+ * Whether the player was set up. The constructor reports a failed setup, e.g. because of invalid sources,
+ * on the player instead of throwing, and leaves it without a video element.
+ * @param {import('../LivePlayer.js').default} player - The player.
+ * @returns {boolean} `true` if the player can be used.
+ */
+function isSetUp(player) {
+    return Boolean(player.video && player.streamUrlList);
+}
+
+/**
+ * Applies the volume of the properties, which may come from an attribute and be out of range.
+ * @param {import('../LivePlayer.js').default} player - The player.
+ * @param {number} volume - The volume, from 0 to 1.
+ */
+function applyVolume(player, volume) {
+    try {
+        player.setVolume(volume);
+    } catch (error) {
+        player.log(error.message, 'warn');
+    }
+}
+
+/**
+ * Creates a player from the properties of a wrapper and starts it, unless `autoStart` is false.
+ * The listener is subscribed before, so that it receives the first state changes. If the player could
+ * not be set up, e.g. because of invalid sources, it is returned as is and shows the error.
+ * @param {typeof import('../LivePlayer.js').default} LivePlayer - The player class.
+ * @param {HTMLElement} element - The container element.
+ * @param {WrapperProps} props - The properties.
+ * @param {function(string, object): void} listener - Called with the name and payload of every event.
+ * @returns {import('../LivePlayer.js').default} The player.
+ */
+export function createPlayer(LivePlayer, element, props, listener) {
+    const options = props.options || {};
+    const player = new LivePlayer(element, {
+        ...options,
+        streamUrls: props.sources,
+        ...(props.locale ? { locale: props.locale } : {}),
+        ...(props.logLevel ? { logLevel: props.logLevel } : {}),
+        liveEdge: { ...(options.liveEdge || {}), ...(props.liveEdge || {}) },
+    });
+    if (!isSetUp(player)) return player;
+    forwardEvents(player, LivePlayer, listener);
+    // The player mutes itself for autoplay, so only an explicit mute is applied up front.
+    if (props.muted) player.mute();
+    if (typeof props.volume === 'number') applyVolume(player, props.volume);
+
+    if (props.autoStart !== false) {
+        if (props.line && props.line in props.sources) {
+            player.switchTo(props.line);
+        } else {
+            player.start();
+        }
+    }
+    return player;
+}
+
+/**
+ * Applies the properties that changed through the runtime setters of the player.
+ * @param {import('../LivePlayer.js').default} player - The player.
+ * @param {WrapperProps} previous - The properties last applied.
+ * @param {WrapperProps} next - The current properties.
+ */
+export function updatePlayer(player, previous, next) {
+    // A player that failed to set up keeps showing its error until `options` change and re-create it.
+    if (!isSetUp(player)) return;
+    if (!isEqual(previous.sources, next.sources)) {
+        // Invalid sources are reported like at creation, rather than thrown into the framework's update cycle.
+        // The player keeps the previous ones.
+        try {
+            player.setSources(next.sources);
+        } catch (error) {
+            player.log(`The sources could not be applied: ${error.message}`, 'error', error);
+            player.emit(player.constructor.Events.ERROR, { message: error.message, key: 'error.setupFailed' });
+        }
+    }
+    if (next.line && next.line !== previous.line) {
+        if (next.line in next.sources) {
+            player.switchTo(next.line);
+        } else {
+            player.log(`Ignoring the unknown line "${next.line}".`, 'warn');
+        }
+    }
+    if (typeof next.muted === 'boolean' && next.muted !== previous.muted) player.mute(next.muted);
+    if (typeof next.volume === 'number' && next.volume !== previous.volume) applyVolume(player, next.volume);
+    if (next.locale && next.locale !== previous.locale) player.setLocale(next.locale);
+    if (next.logLevel && next.logLevel !== previous.logLevel) player.setLogLevel(next.logLevel);
+    if (next.liveEdge && !isEqual(previous.liveEdge, next.liveEdge)) player.setLiveEdge(next.liveEdge);
+}
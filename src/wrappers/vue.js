@@ -0,0 +1,83 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file wrappers/vue.js
+ * @description The Vue 3 component of the player.
+ */
+
+import { defineComponent, h, onBeforeUnmount, onMounted, ref, watch } from 'vue';
+import LivePlayer from '../LivePlayer.js';
+import { createPlayer, updatePlayer, getPlayerKey, hasSources } from './shared.js';
+
+/**
+ * Copies the props, with the nested objects cloned so that later changes inside them are noticed.
+ * @param {object} props - The reactive props.
+ * @returns {import('./shared.js').WrapperProps} The copy.
+ */
+function snapshot(props) {
+    return {
+        ...props,
+        sources: JSON.parse(JSON.stringify(props.sources)),
+        liveEdge: props.liveEdge && JSON.parse(JSON.stringify(props.liveEdge)),
+    };
+}
+
+/**
+ * Renders a LivePlayer into a `<div>`. The props of `WrapperProps` are applied through the runtime setters
+ * of the player when they change, while a change of `options` re-creates it. Events are emitted under their
+ * own names, and the template ref exposes `getPlayer()`.
+ */
+export default defineComponent({
+    name: 'LivePlayer',
+    props: {
+        sources: { type: Object, default: () => ({}) },
+        line: { type: String, default: undefined },
+        muted: { type: Boolean, default: undefined },
+        volume: { type: Number, default: undefined },
+        locale: { type: String, default: undefined },
+        logLevel: { type: String, default: undefined },
+        liveEdge: { type: Object, default: undefined },
+        options: { type: Object, default: () => ({}) },
+        autoStart: { type: Boolean, default: true },
+    },
+    emits: Object.values(LivePlayer.Events),
+    setup(props, { emit, expose }) {
+        const container = ref(null);
+        let player = null;
+        let appliedProps = null;
+
+        const destroyPlayer = () => {
+            if (!player) return;
+            player.destroy();
+            player = null;
+        };
+
+        const createPlayerFromProps = () => {
+            destroyPlayer();
+            const currentProps = snapshot(props);
+            if (!hasSources(currentProps)) return;
+            player = createPlayer(LivePlayer, container.value, currentProps, (event, payload) => emit(event, payload));
+            appliedProps = currentProps;
+        };
+
+        onMounted(createPlayerFromProps);
+        onBeforeUnmount(destroyPlayer);
+
+        watch(() => getPlayerKey(props), createPlayerFromProps);
+        watch(
+            () => JSON.stringify([props.sources, props.line, props.muted, props.volume, props.locale, props.logLevel, props.liveEdge]),
+            () => {
+                if (!player) return;
+                const currentProps = snapshot(props);
+                updatePlayer(player, appliedProps, currentProps);
+                appliedProps = currentProps;
+            },
+        );
+
+        expose({ getPlayer: () => player });
+        return () => h('div', { ref: container });
+    },
+});
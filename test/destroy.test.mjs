@@ -0,0 +1,207 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file test/destroy.test.mjs
+ * @description Checks that `destroy()` leaves nothing behind: it creates players in jsdom, drives them into
+ * playback, recovery and offline polling, destroys them and asserts that no listener on the document, the
+ * window or an app-owned video element, and no timer is left, and that nothing fires afterwards.
+ * Runs against the bundle in `dist/`, so build first (`npm test` does).
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dom, window, wait, loadLivePlayer } from './support/jsdom.mjs';
+
+/** How many players of each kind are created per scenario. */
+const PLAYER_COUNT = 5;
+
+// --- Listener tracking ---
+// Every function listener added in the jsdom realm is recorded until it is removed, aborted or has fired once.
+// It is wrapped, so that calls after the players were destroyed can be counted.
+
+/** @type {Set<{target: EventTarget, type: string, listener: Function, capture: boolean, wrapped: Function}>} */
+const listeners = new Set();
+let listenerCalls = 0;
+const { addEventListener, removeEventListener } = window.EventTarget.prototype;
+
+window.EventTarget.prototype.addEventListener = function (type, listener, options) {
+    if (typeof listener !== 'function') return addEventListener.call(this, type, listener, options);
+    const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+    const signal = options && typeof options === 'object' ? options.signal : undefined;
+    if (signal && signal.aborted) return undefined;
+    const entry = { target: this, type, listener, capture };
+    entry.wrapped = function (event) {
+        listenerCalls++;
+        if (options && options.once) listeners.delete(entry);
+        return listener.call(this, event);
+    };
+    listeners.add(entry);
+    if (signal) addEventListener.call(signal, 'abort', () => listeners.delete(entry), { once: true });
+    return addEventListener.call(this, type, entry.wrapped, options);
+};
+
+window.EventTarget.prototype.removeEventListener = function (type, listener, options) {
+    const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+    const entry = [...listeners].find(l => l.target === this && l.type === type && l.listener === listener && l.capture === capture);
+    if (!entry) return removeEventListener.call(this, type, listener, options);
+    listeners.delete(entry);
+    return removeEventListener.call(this, type, entry.wrapped, options);
+};
+
+/**
+ * Lists the listeners that are still attached to one of the targets.
+ * @param {EventTarget[]} targets - The targets.
+ * @returns {string[]} The type of each listener.
+ */
+function getListeners(targets) {
+    return [...listeners].filter(l => targets.includes(l.target)).map(l => l.type);
+}
+
+// --- Timer tracking ---
+
+const { setTimeout: realSetTimeout, setInterval: realSetInterval, clearTimeout: realClearTimeout } = globalThis;
+/** @type {Set<*>} The timeouts that have neither fired nor been cleared, and the intervals that haven't been cleared. */
+const timers = new Set();
+
+globalThis.setTimeout = (callback, delay, ...args) => {
+    const id = realSetTimeout(() => {
+        timers.delete(id);
+        callback(...args);
+    }, delay);
+    timers.add(id);
+    return id;
+};
+globalThis.setInterval = (callback, delay, ...args) => {
+    const id = realSetInterval(callback, delay, ...args);
+    timers.add(id);
+    return id;
+};
+// In Node.js, both clear timeouts and intervals alike.
+globalThis.clearTimeout = (id) => {
+    timers.delete(id);
+    realClearTimeout(id);
+};
+globalThis.clearInterval = globalThis.clearTimeout;
+
+// The selector engine of jsdom adds listeners of its own to the document on first use.
+document.querySelector('body');
+listeners.clear();
+
+/** @type {typeof import('../src/LivePlayer.js').default} */
+let LivePlayer;
+
+/**
+ * A playback engine that plays nothing. Its error listeners are kept, so that the tests can report errors.
+ * @type {Map<object, function(object): void>}
+ */
+const engineErrorListeners = new Map();
+const testEngine = {
+    canPlay: (url, type) => type === 'test',
+    attach: () => ({}),
+    onError: (handle, listener) => engineErrorListeners.set(handle, listener),
+    stop: () => {},
+    destroy: handle => engineErrorListeners.delete(handle),
+};
+
+/**
+ * Creates a player that plays the test engine and records the events it emits after `destroy()`.
+ * @param {boolean} headless - Whether to create a headless player on an app-owned video element.
+ * @returns {{player: object, element: HTMLElement, lateEvents: string[], destroyed?: boolean}}
+ */
+function createPlayer(headless) {
+    const element = document.createElement(headless ? 'video' : 'div');
+    document.body.appendChild(element);
+    const player = new LivePlayer(element, {
+        headless,
+        logLevel: 'silent',
+        streamUrls: { Main: { url: 'https://example.com/live', type: 'test' } },
+        recovery: { baseDelay: 1000, jitter: 0 },
+    });
+    const instance = { player, element, lateEvents: [] };
+    // The final 'statechange' to 'destroyed' is emitted by destroy() itself, so only what follows counts.
+    const { emit, destroy } = player;
+    player.emit = (event, payload) => {
+        if (instance.destroyed) instance.lateEvents.push(event);
+        return emit.call(player, event, payload);
+    };
+    player.destroy = () => {
+        destroy.call(player);
+        instance.destroyed = true;
+    };
+    return instance;
+}
+
+/**
+ * Reports an error through the test engine of a player.
+ * @param {object} player - The player.
+ * @param {object} error - The `EngineError`.
+ */
+function reportEngineError(player, error) {
+    engineErrorListeners.get(player.engineHandle)({ fatal: false, status: null, ...error });
+}
+
+/** Drives the players into a state with listeners and pending timers. */
+const SCENARIOS = {
+    playing: async ({ player }) => {
+        player.video.dispatchEvent(new window.Event('playing'));
+        if (!player.options.headless) player.toggleStats(true);
+    },
+    recovering: async ({ player }) => {
+        reportEngineError(player, { details: 'network-error', fatal: true });
+        assert.equal(player.state, LivePlayer.States.RECOVERING);
+    },
+    offline: async ({ player }) => {
+        reportEngineError(player, { details: 'not-found', fatal: true, status: 404 });
+        assert.equal(player.state, LivePlayer.States.POLLING);
+    },
+};
+
+before(async () => {
+    LivePlayer = await loadLivePlayer();
+    LivePlayer.registerEngine('test', testEngine);
+});
+
+after(() => {
+    // Leaked timers would keep the test process alive.
+    timers.forEach(id => realClearTimeout(id));
+    dom.window.close();
+});
+
+for (const headless of [false, true]) {
+    describe(`destroy() of ${headless ? 'headless' : 'normal'} players`, () => {
+        for (const [name, scenario] of Object.entries(SCENARIOS)) {
+            test(`leaves nothing behind while ${name}`, async () => {
+                const instances = Array.from({ length: PLAYER_COUNT }, () => createPlayer(headless));
+                instances.forEach(({ player }) => player.start());
+                await wait(10);
+                for (const instance of instances) await scenario(instance);
+                assert.ok(timers.size > 0, 'the scenario should start timers');
+
+                instances.forEach(({ player }) => player.destroy());
+                // Let pending requests and setups settle; they must not resume the players.
+                await wait(50);
+
+                assert.deepEqual(getListeners([document, window]), [], 'no listener on the document or window');
+                if (headless) {
+                    assert.deepEqual(getListeners(instances.map(i => i.element)), [], 'no listener on the video elements');
+                }
+                assert.equal(timers.size, 0, 'no pending timer');
+
+                listenerCalls = 0;
+                for (const target of [document, window, ...instances.map(i => i.element)]) {
+                    for (const type of ['click', 'keydown', 'visibilitychange', 'fullscreenchange', 'pagehide', 'playing', 'waiting',
+                        'pause', 'volumechange', 'error']) {
+                        target.dispatchEvent(new window.Event(type));
+                    }
+                }
+                assert.equal(listenerCalls, 0, 'no listener called after destroy()');
+                assert.deepEqual(instances.flatMap(i => i.lateEvents), [], 'no event emitted after destroy()');
+
+                instances.forEach(({ element }) => element.remove());
+            });
+        }
+    });
+}
@@ -0,0 +1,90 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file test/group.test.mjs
+ * @description Checks how a `LivePlayerGroup` reduces the playback of the tiles that are scrolled out of view.
+ */
+
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, wait, loadLivePlayer } from './support/jsdom.mjs';
+
+/** @type {typeof import('../src/LivePlayer.js').default} */
+let LivePlayer;
+
+/** The callbacks of the IntersectionObservers of the groups, which jsdom doesn't implement. */
+const observerCallbacks = [];
+globalThis.IntersectionObserver = class {
+    constructor(callback) {
+        observerCallbacks.push(callback);
+    }
+
+    observe() {}
+
+    unobserve() {}
+
+    disconnect() {}
+};
+
+/**
+ * Lets a video element report whether it is paused, and counts the calls of `play()`.
+ * @param {HTMLVideoElement} video - The video element.
+ * @returns {{plays: number}} The number of calls.
+ */
+function trackPlayback(video) {
+    const calls = { plays: 0 };
+    let paused = false;
+    Object.defineProperty(video, 'paused', { get: () => paused, configurable: true });
+    video.play = () => {
+        calls.plays++;
+        paused = false;
+        return Promise.resolve();
+    };
+    video.pause = () => {
+        paused = true;
+    };
+    return calls;
+}
+
+before(async () => {
+    LivePlayer = await loadLivePlayer();
+    LivePlayer.registerEngine('group-test', {
+        canPlay: (url, type) => type === 'group-test',
+        attach: () => ({}),
+        onError: () => {},
+        destroy: () => {},
+    });
+});
+
+test('a tile paused out of view is not resumed when the tab becomes visible again', async () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const group = new LivePlayer.Group(container, { playerOptions: { logLevel: 'silent' } });
+    try {
+        const player = group.add('a', { streamUrls: { Main: { url: 'https://example.com/live', type: 'group-test' } } });
+        await wait(10);
+        const calls = trackPlayback(player.video);
+        player.userInteracted = true;
+        const notifyObserver = observerCallbacks[observerCallbacks.length - 1];
+        const tile = container.querySelector('[data-tile-id="a"]');
+
+        notifyObserver([{ target: tile, isIntersecting: false }]);
+        assert.ok(player.video.paused, 'the tile is paused out of view');
+        // Without `pretendToBeVisual`, the jsdom document counts as hidden.
+        Object.defineProperty(document, 'hidden', { value: false, configurable: true });
+        document.dispatchEvent(new window.Event('visibilitychange'));
+        assert.equal(calls.plays, 0, 'the tab becoming visible does not resume the tile');
+        assert.ok(player.video.paused);
+
+        notifyObserver([{ target: tile, isIntersecting: true }]);
+        assert.equal(player.suspended, false);
+        assert.equal(calls.plays, 1, 'the tile is resumed once it is back in view');
+    } finally {
+        delete document.hidden;
+        group.destroy();
+        container.remove();
+    }
+});
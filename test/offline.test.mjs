@@ -0,0 +1,66 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file test/offline.test.mjs
+ * @description Checks that the offline poller keeps running when the `pollOffline` hook of an engine fails.
+ */
+
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wait, loadLivePlayer } from './support/jsdom.mjs';
+
+/** @type {typeof import('../src/LivePlayer.js').default} */
+let LivePlayer;
+
+before(async () => {
+    LivePlayer = await loadLivePlayer();
+});
+
+test('a rejecting pollOffline hook counts as offline and the poller goes on', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    let errorListener = null;
+    let pollResult = () => Promise.reject(new Error('poll failed'));
+    let polls = 0;
+    LivePlayer.registerEngine('offline-test', {
+        canPlay: (url, type) => type === 'offline-test',
+        attach: () => ({}),
+        onError: (handle, listener) => { errorListener = listener; },
+        stop: () => {},
+        destroy: () => {},
+        pollOffline: () => {
+            polls++;
+            return pollResult();
+        },
+    });
+    const element = document.createElement('video');
+    const player = new LivePlayer(element, {
+        headless: true,
+        logLevel: 'silent',
+        streamUrls: { Main: { url: 'https://example.com/live', type: 'offline-test' } },
+        recovery: { offlinePoll: { interval: 20, multiplier: 1, jitter: 0 } },
+    });
+    try {
+        player.start();
+        await wait(10);
+        errorListener({ details: 'not-found', fatal: true, status: 404 });
+        assert.equal(player.state, LivePlayer.States.POLLING);
+
+        await wait(100);
+        assert.ok(polls >= 2, `the poller should keep polling, polled ${polls} times`);
+        assert.equal(player.state, LivePlayer.States.POLLING);
+        assert.deepEqual(unhandled, []);
+
+        pollResult = () => Promise.resolve(true);
+        await wait(50);
+        assert.equal(player.state, LivePlayer.States.LOADING, 'the stream should be loaded once the hook reports it live');
+    } finally {
+        player.destroy();
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
@@ -0,0 +1,80 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file test/setup.test.mjs
+ * @description Checks that a setup whose engine adapter throws is handled like a failed stream.
+ */
+
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wait, loadLivePlayer } from './support/jsdom.mjs';
+
+/** @type {typeof import('../src/LivePlayer.js').default} */
+let LivePlayer;
+
+before(async () => {
+    LivePlayer = await loadLivePlayer();
+});
+
+test('an adapter hook that throws during setup starts the recovery', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    let attached = 0;
+    LivePlayer.registerEngine('setup-test', {
+        canPlay: (url, type) => type === 'setup-test',
+        attach: () => {
+            attached++;
+            return {};
+        },
+        onError: () => {
+            throw new Error('onError failed');
+        },
+        destroy: () => {},
+    });
+    const player = new LivePlayer(document.createElement('video'), {
+        headless: true,
+        logLevel: 'silent',
+        streamUrls: { Main: { url: 'https://example.com/live', type: 'setup-test' } },
+        recovery: { baseDelay: 10, maxAttempts: 2, jitter: 0, offlinePoll: { interval: 60000 } },
+    });
+    const states = [];
+    player.on(LivePlayer.Events.STATE_CHANGE, ({ to }) => states.push(to));
+    try {
+        player.start();
+        await wait(100);
+        assert.equal(attached, 2, 'the setup should be retried once');
+        assert.deepEqual(states, ['loading', 'recovering', 'loading', 'offline', 'polling']);
+        assert.deepEqual(unhandled, []);
+    } finally {
+        player.destroy();
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
+
+test('a canPlay hook that throws counts as not playable', async () => {
+    LivePlayer.registerEngine('can-play-test', {
+        canPlay: () => {
+            throw new Error('canPlay failed');
+        },
+        attach: () => ({}),
+        onError: () => {},
+        destroy: () => {},
+    });
+    const player = new LivePlayer(document.createElement('video'), {
+        headless: true,
+        logLevel: 'silent',
+        streamUrls: { Main: { url: 'https://example.com/live', type: 'can-play-test' } },
+    });
+    try {
+        player.start();
+        await wait(20);
+        assert.equal(player.state, LivePlayer.States.IDLE);
+    } finally {
+        player.destroy();
+    }
+});
@@ -0,0 +1,46 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file test/support/jsdom.mjs
+ * @description Sets up a jsdom document with the browser globals the player uses, for the tests in `test/`.
+ * Media playback and network requests are stubbed: videos "play" without decoding, and every request fails
+ * with a 404 unless a test replaces `globalThis.fetch`.
+ */
+
+import { JSDOM } from 'jsdom';
+
+export const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'https://example.com/' });
+export const { window } = dom;
+
+for (const name of ['window', 'document', 'navigator', 'location', 'Node', 'HTMLElement', 'customElements', 'HTMLVideoElement', 'HTMLMediaElement',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MutationObserver', 'getComputedStyle', 'AbortController', 'AbortSignal']) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+}
+// jsdom doesn't implement media playback.
+window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+window.HTMLMediaElement.prototype.pause = () => {};
+window.HTMLMediaElement.prototype.load = () => {};
+globalThis.fetch = async () => new Response(null, { status: 404 });
+
+/** The timer functions of Node.js, kept in case a test replaces the global ones. */
+const { setTimeout: realSetTimeout } = globalThis;
+
+/**
+ * Waits for a while, e.g. for the asynchronous setup of a player.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+export function wait(ms) {
+    return new Promise(resolve => realSetTimeout(resolve, ms));
+}
+
+/**
+ * Imports the player from the bundle in `dist/`, which `npm test` builds first.
+ * @returns {Promise<typeof import('../../src/LivePlayer.js').default>} The player class, with `LivePlayer.Group`.
+ */
+export async function loadLivePlayer() {
+    return (await import('../../dist/liveplayer.esm.js')).default;
+}
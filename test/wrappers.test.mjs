@@ -0,0 +1,70 @@
+/*!
+ * SPDX-FileCopyrightText: 2025 The LivePlayer Project Authors
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * @file test/wrappers.test.mjs
+ * @description Checks how the framework wrappers apply changed properties to their player.
+ */
+
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLivePlayer } from './support/jsdom.mjs';
+import { createPlayer, updatePlayer } from '../src/wrappers/shared.js';
+
+/** @type {typeof import('../src/LivePlayer.js').default} */
+let LivePlayer;
+
+before(async () => {
+    LivePlayer = await loadLivePlayer();
+    LivePlayer.registerEngine('wrapper-test', {
+        canPlay: (url, type) => type === 'wrapper-test',
+        attach: () => ({}),
+        onError: () => {},
+        destroy: () => {},
+    });
+});
+
+test('invalid sources are reported as an error event instead of being thrown', () => {
+    const events = [];
+    const props = { sources: { Main: { url: 'https://example.com/live', type: 'wrapper-test' } }, logLevel: 'silent' };
+    const player = createPlayer(LivePlayer, document.createElement('div'), props, (event, payload) => events.push([event, payload]));
+    try {
+        assert.doesNotThrow(() => updatePlayer(player, props, { ...props, sources: { Main: {} } }));
+        const errors = events.filter(([event]) => event === LivePlayer.Events.ERROR);
+        assert.equal(errors.length, 1);
+        assert.equal(player.streamUrlList[0].url, 'https://example.com/live', 'the previous sources are kept');
+    } finally {
+        player.destroy();
+    }
+});
+
+test('<live-player> logs invalid sources JSON through the logger', async () => {
+    await import('../src/wrappers/element.js');
+    const records = [];
+    const element = document.createElement('live-player');
+    element.options = { logLevel: 'silent', logger: { sinks: [record => records.push(record)] } };
+    element.setAttribute('sources', '{not json');
+    document.body.appendChild(element);
+    try {
+        assert.equal(element.player, null);
+        assert.equal(records.length, 1);
+        assert.equal(records[0].level, 'error');
+        assert.match(records[0].message, /not valid JSON/);
+    } finally {
+        element.remove();
+    }
+});
+
+test('a changed liveEdge keeps the hls.js settings it leaves out', () => {
+    const props = { sources: { Main: { url: 'https://example.com/live', type: 'wrapper-test' } }, logLevel: 'silent' };
+    const player = createPlayer(LivePlayer, document.createElement('div'), props, () => {});
+    try {
+        const { hlsConfig } = player.options.liveEdge;
+        updatePlayer(player, props, { ...props, liveEdge: { hlsConfig: { maxBufferLength: 5 } } });
+        assert.deepEqual(player.options.liveEdge.hlsConfig, { ...hlsConfig, maxBufferLength: 5 });
+    } finally {
+        player.destroy();
+    }
+});